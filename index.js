@@ -1,5 +1,10 @@
 const { connectToDatabase } = require('./src/config/db');
 const cronProcessor = require('./src/services/cronProcessor.service');
+const campaignProducer = require('./src/services/campaignProducer.service');
+const scheduler = require('./src/services/scheduler.service');
+const bounceProcessor = require('./src/services/bounceProcessor.service');
+const campaignPause = require('./src/services/campaignPause.service');
+const domainPolicy = require('./src/services/domainPolicy.service');
 const sqsService = require('./src/services/sqs.service');
 const logger = require('./src/config/logger');
 
@@ -23,6 +28,65 @@ exports.handler = async (event, context) => {
         // Connect to database if needed
         await connectToDatabase();
 
+        // Pick up domain sending policy changes (keeps the previous policy if the source is invalid)
+        await domainPolicy.reload();
+
+        // Direct invocation to cancel or reschedule a scheduled send
+        if (event?.action === 'cancelScheduledSend') {
+            const cancelled = await scheduler.cancel(event.campaignSendId);
+            return {
+                statusCode: cancelled ? 200 : 409,
+                body: JSON.stringify({ cancelled })
+            };
+        }
+        if (event?.action === 'rescheduleSend') {
+            const rescheduled = await scheduler.reschedule(event.campaignSendId, event.scheduleTime);
+            return {
+                statusCode: rescheduled ? 200 : 409,
+                body: JSON.stringify({ rescheduled })
+            };
+        }
+
+        // Direct invocation to pause or resume a single campaign (e.g. after a complaint auto-pause)
+        if (event?.action === 'pauseCampaign' || event?.action === 'resumeCampaign') {
+            const changed = event.action === 'pauseCampaign'
+                ? await campaignPause.pause(event.campaignId, event.reason || 'manual')
+                : await campaignPause.resume(event.campaignId);
+            return {
+                statusCode: changed ? 200 : 409,
+                body: JSON.stringify({ changed })
+            };
+        }
+
+        // Direct (or scheduled) invocation to ingest bounces and complaints from the bounce queue
+        if (event?.action === 'processBounces') {
+            const processed = await bounceProcessor.runOnce();
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ processed, ...bounceProcessor.getStats() })
+            };
+        }
+
+        // Direct invocation to fan out a campaign send into the queue
+        if (event?.campaignSendId) {
+            const fanOut = await campaignProducer.enqueueCampaignSend(event.campaignSendId);
+            return {
+                statusCode: fanOut.partial ? 500 : 200,
+                body: JSON.stringify({
+                    message: fanOut.partial ? 'Campaign fan-out incomplete, invoke again to retry' : 'Campaign fan-out complete',
+                    ...fanOut,
+                })
+            };
+        }
+
+        // Launch due scheduled sends (claims are atomic across concurrent Lambdas)
+        let scheduled = [];
+        try {
+            scheduled = await scheduler.runDueSends();
+        } catch (error) {
+            logger.error({ error: error.message, stack: error.stack }, 'Scheduler run failed');
+        }
+
         // Process queue by pulling messages continuously
         // This will process messages until Lambda timeout or queue is empty
         const result = await cronProcessor.processQueue(context);
@@ -33,8 +97,10 @@ exports.handler = async (event, context) => {
                 message: 'Queue processing complete',
                 processed: result.totalProcessed,
                 failed: result.totalFailed,
+                deferred: result.totalDeferred,
                 processingTimeSeconds: result.processingTimeSeconds,
                 stoppedReason: result.stoppedReason,
+                scheduledLaunched: scheduled.length,
             })
         };
     } catch (error) {
@@ -56,6 +122,13 @@ if (require.main === module) {
             // Start the email processing service
             await smtpEmailService.start();
 
+            // Start HTTP endpoints (unsubscribe, tracking, forward)
+            const config = require('./src/config/config');
+            const app = require('./src/app');
+            app.listen(config.port, () => {
+                logger.info({ port: config.port }, 'HTTP server listening');
+            });
+
             logger.info('Email processing service is running. Press Ctrl+C to stop.');
         } catch (error) {
             logger.error({ error: error.message, stack: error.stack }, 'Failed to start service');
@@ -0,0 +1,32 @@
+const express = require('express');
+const routes = require('./routes');
+const logger = require('./config/logger');
+const config = require('./config/config');
+
+/**
+ * HTTP app for recipient-facing endpoints (unsubscribe, tracking, forward)
+ */
+const app = express();
+
+app.disable('x-powered-by');
+// Only the configured proxies may set X-Forwarded-For (req.ip)
+app.set('trust proxy', config.server.trustProxy);
+
+app.use(express.json({ limit: '10kb' }));
+app.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+app.use('/', routes);
+
+// 404 for unknown routes
+app.use((req, res) => {
+    res.status(404).send('Not found');
+});
+
+// Error handler
+// eslint-disable-next-line no-unused-vars
+app.use((err, req, res, next) => {
+    logger.error({ error: err.message, stack: err.stack, path: req.path }, 'HTTP request failed');
+    res.status(500).send('Internal server error');
+});
+
+module.exports = app;
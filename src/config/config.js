@@ -25,12 +25,16 @@ const envVarsSchema = Joi.object()
     SQS_QUEUE_NAME: Joi.string().required().description('Custom AWS sqs queue name'),
     SQS_DLQ_URL: Joi.string().optional().description('SQS Dead Letter Queue URL or name'),
     SQS_DLQ_NAME: Joi.string().optional().description('SQS Dead Letter Queue name'),
+    SQS_VISIBILITY_TIMEOUT: Joi.number().integer().min(0).max(43200).optional().description('Visibility timeout in seconds requested when receiving (queue default when unset)'),
+    SQS_HEARTBEAT_MAX_SECONDS: Joi.number().integer().min(0).max(43200).optional().default(1800).description('Max total seconds a message in progress is kept invisible by heartbeats'),
     CUSTOM_AWS_ACCOUNT_ID: Joi.string().optional().description('AWS Account ID for queue URL construction'),
     FRONTEND_URL: Joi.string().required().description('Frontend URL'),
     LINK_SALT: Joi.string().required().description('Link salt'),
     SERVER_URL: Joi.string().required().description('Server URL'),
+    TRUST_PROXY: Joi.string().optional().default('1').description('Express trust proxy: proxy hop count in front of the HTTP app, or trusted addresses/subnets (e.g. "10.0.0.0/8")'),
     SECRET_KEY: Joi.string().required().description('Secret key'),
     UNSUBSCRIBE_SECRET_KEY: Joi.string().required().description('Unsubscribe secret key'),
+    UNSUBSCRIBE_BASE_URL: Joi.string().optional().description('Base URL of the one-click unsubscribe endpoint (defaults to SERVER_URL/unsubscribe)'),
     FORWARD_SECRET_KEY: Joi.string().required().description('Forward secret key'),
     SMTP_HOST: Joi.string().required().description('SMTP host'),
     SMTP_PORT: Joi.number().required().description('SMTP port'),
@@ -41,13 +45,49 @@ const envVarsSchema = Joi.object()
     SMTP_POOL: Joi.boolean().required().description('SMTP pool'),
     SMTP_MAX_CONNECTIONS: Joi.number().optional().default(10).description('SMTP max connections (conservative for Gmail)'),
     SMTP_MAX_MESSAGES: Joi.number().optional().default(50).description('SMTP max messages per connection'),
-    SMTP_LIST_UNSUBSCRIBE: Joi.string().optional().description('List-Unsubscribe header URL'),
+    SMTP_LIST_UNSUBSCRIBE: Joi.string().optional().description('Extra List-Unsubscribe URL (e.g. a mailto: you process) listed after the one-click URL'),
     SMTP_REPLY_TO: Joi.string().optional().description('Reply-To email address'),
     SMTP_RETURN_PATH: Joi.string().optional().description('Return-Path email address for bounces'),
+    SMTP_VERP: Joi.boolean().optional().default(false).description('Encode stats id and recipient hash in a signed per-message Return-Path'),
+    SMTP_DKIM_DOMAIN: Joi.string().optional().description('DKIM signing domain (defaults to the SMTP_FROM domain)'),
+    SMTP_DKIM_SELECTOR: Joi.string().optional().description('DKIM selector'),
+    SMTP_DKIM_PRIVATE_KEY: Joi.string().optional().description('DKIM private key (PEM)'),
+    SMTP_DKIM_PRIVATE_KEY_PATH: Joi.string().optional().description('Path to the DKIM private key file'),
+    SMTP_DKIM_NEXT_SELECTOR: Joi.string().optional().description('Second DKIM selector used during key rotation'),
+    SMTP_DKIM_NEXT_PRIVATE_KEY: Joi.string().optional().description('DKIM private key (PEM) for the rotation selector'),
+    SMTP_DKIM_NEXT_PRIVATE_KEY_PATH: Joi.string().optional().description('Path to the DKIM private key file for the rotation selector'),
     WORKER_POOL_MAX_WORKERS: Joi.number().optional().default(10).description('Worker pool max workers'),
     WORKER_POOL_BATCH_SIZE: Joi.number().optional().default(10).description('SQS batch size'),
     WORKER_POOL_MAX_QUEUE_SIZE: Joi.number().optional().default(100).description('Max queue size'),
     METRICS_REPORT_INTERVAL: Joi.number().optional().default(60).description('Metrics report interval in seconds'),
+    SCHEDULER_INTERVAL: Joi.number().optional().default(60).description('Scheduler poll interval in seconds (standalone mode)'),
+    SCHEDULER_CLAIM_LEASE_MINUTES: Joi.number().optional().default(15).description('Minutes before a stuck scheduled send can be reclaimed'),
+    SCHEDULER_CATCHUP_WINDOW_HOURS: Joi.number().optional().default(24).description('Max age of missed scheduled sends to still launch'),
+    SCHEDULER_MAX_ATTEMPTS: Joi.number().optional().default(3).description('Max launch attempts per scheduled send'),
+    SUPPRESSION_CACHE_TTL_SECONDS: Joi.number().optional().default(300).description('Suppression lookup cache TTL in seconds'),
+    CLICK_TRACKING_LINK_TTL_DAYS: Joi.number().optional().default(180).description('Days tracked links keep redirecting'),
+    FORWARD_MAX_PER_RECIPIENT: Joi.number().optional().default(5).description('Max forwards per original recipient per campaign'),
+    BOUNCE_SOURCE: Joi.string().valid('none', 'sqs', 'maildir').optional().default('none').description('Where DSN bounce messages are read from'),
+    BOUNCE_QUEUE_NAME: Joi.string().optional().description('Bounce SQS queue name or URL (BOUNCE_SOURCE=sqs)'),
+    BOUNCE_MAILDIR_PATH: Joi.string().optional().description('Bounce maildir path (BOUNCE_SOURCE=maildir)'),
+    BOUNCE_POLL_INTERVAL: Joi.number().optional().default(60).description('Bounce ingestion interval in seconds (standalone mode)'),
+    COMPLAINT_PAUSE_THRESHOLD: Joi.number().optional().default(0.003).description('Complaint rate (complaints / sent) that auto-pauses a campaign'),
+    COMPLAINT_PAUSE_MIN_SENT: Joi.number().optional().default(500).description('Minimum sent before the complaint rate can pause a campaign'),
+    RETRY_MAX_FAILURES: Joi.number().integer().min(1).max(20).optional().default(5).description('Failed deliveries of a soft-failed message before it is moved to the DLQ (the ledger keeps the last 20)'),
+    RETRY_MAX_DELAY_SECONDS: Joi.number().integer().min(1).max(43200).optional().default(21600).description('Max delay between queue retries of a soft-failed message'),
+    RATE_LIMIT_STORE: Joi.string().valid('mongo', 'memory').optional().default('mongo').description('Rate limit counters shared by all senders (memory limits each process separately)'),
+    DOMAIN_POLICY_SOURCE: Joi.string().valid('builtin', 'file', 'mongo').optional().default('builtin').description('Where per-domain sending policies (limits, cooldowns, max connections) are loaded from'),
+    DOMAIN_POLICY_FILE: Joi.string().optional().description('Path to the JSON domain policy file (DOMAIN_POLICY_SOURCE=file)'),
+    DOMAIN_POLICY_RELOAD_INTERVAL: Joi.number().optional().default(60).description('Domain policy reload interval in seconds (standalone mode)'),
+    MX_CACHE_TTL_SECONDS: Joi.number().optional().default(21600).description('How long a recipient domain keeps its MX provider group'),
+    ADAPTIVE_THROTTLE_ENABLED: Joi.boolean().optional().default(true).description('Scale domain limits down on provider deferrals and connection reset spikes'),
+    ADAPTIVE_THROTTLE_MIN_FACTOR: Joi.number().min(0.01).max(1).optional().default(0.1).description('Lowest fraction of the policy limits the adaptive throttle backs off to'),
+    ADAPTIVE_THROTTLE_RAMP_UP_SENDS: Joi.number().integer().min(1).optional().default(50).description('Successful sends before the adaptive throttle adds back 10% of the limits'),
+    IDEMPOTENCY_STORE: Joi.string().valid('mongo', 'memory').optional().default('mongo').description('Idempotency store shared by all senders (memory is per process, for tests)'),
+    IDEMPOTENCY_WINDOW_HOURS: Joi.number().optional().default(24).description('How long a sent idempotency key suppresses redeliveries'),
+    IDEMPOTENCY_CLAIM_LEASE_SECONDS: Joi.number().optional().default(600).description('How long a send claim blocks other workers before it can be taken over'),
+    QUIET_HOURS_START: Joi.string().optional().pattern(/^([01]?\d|2[0-3]):[0-5]\d$/).description('Default quiet hours start (HH:mm, recipient local time)'),
+    QUIET_HOURS_END: Joi.string().optional().pattern(/^([01]?\d|2[0-3]):[0-5]\d$/).description('Default quiet hours end (HH:mm, recipient local time)'),
   })
   .unknown();
 
@@ -81,6 +121,8 @@ module.exports = {
     SQS_QUEUE_NAME: envVars.SQS_QUEUE_NAME,
     SQS_DLQ_URL: envVars.SQS_DLQ_URL,
     SQS_DLQ_NAME: envVars.SQS_DLQ_NAME,
+    SQS_VISIBILITY_TIMEOUT: envVars.SQS_VISIBILITY_TIMEOUT,
+    SQS_HEARTBEAT_MAX_SECONDS: envVars.SQS_HEARTBEAT_MAX_SECONDS,
     CUSTOM_AWS_ACCOUNT_ID: envVars.CUSTOM_AWS_ACCOUNT_ID,
   },
   frontend: {
@@ -93,7 +135,9 @@ module.exports = {
     forwardSecretKey: envVars.FORWARD_SECRET_KEY
   },
   server: {
-    url: envVars.SERVER_URL
+    url: envVars.SERVER_URL,
+    trustProxy: /^\d+$/.test(envVars.TRUST_PROXY) ? Number(envVars.TRUST_PROXY) : envVars.TRUST_PROXY,
+    unsubscribeBaseUrl: envVars.UNSUBSCRIBE_BASE_URL
   },
   smtp: {
     host: envVars.SMTP_HOST,
@@ -113,6 +157,16 @@ module.exports = {
     listUnsubscribe: envVars.SMTP_LIST_UNSUBSCRIBE,
     replyTo: envVars.SMTP_REPLY_TO,
     returnPath: envVars.SMTP_RETURN_PATH,
+    verp: envVars.SMTP_VERP,
+    dkim: {
+      domain: envVars.SMTP_DKIM_DOMAIN || envVars.SMTP_FROM.split('@')[1],
+      selector: envVars.SMTP_DKIM_SELECTOR,
+      privateKey: envVars.SMTP_DKIM_PRIVATE_KEY,
+      privateKeyPath: envVars.SMTP_DKIM_PRIVATE_KEY_PATH,
+      nextSelector: envVars.SMTP_DKIM_NEXT_SELECTOR,
+      nextPrivateKey: envVars.SMTP_DKIM_NEXT_PRIVATE_KEY,
+      nextPrivateKeyPath: envVars.SMTP_DKIM_NEXT_PRIVATE_KEY_PATH,
+    },
     envelope: true, // Enable envelope for proper routing
   },
   workerPool: {
@@ -123,4 +177,58 @@ module.exports = {
   metrics: {
     reportInterval: envVars.METRICS_REPORT_INTERVAL || 60,
   },
+  scheduler: {
+    interval: envVars.SCHEDULER_INTERVAL,
+    claimLeaseMinutes: envVars.SCHEDULER_CLAIM_LEASE_MINUTES,
+    catchUpWindowHours: envVars.SCHEDULER_CATCHUP_WINDOW_HOURS,
+    maxAttempts: envVars.SCHEDULER_MAX_ATTEMPTS,
+  },
+  suppression: {
+    cacheTtlSeconds: envVars.SUPPRESSION_CACHE_TTL_SECONDS,
+  },
+  tracking: {
+    linkTtlDays: envVars.CLICK_TRACKING_LINK_TTL_DAYS,
+  },
+  forward: {
+    maxPerRecipient: envVars.FORWARD_MAX_PER_RECIPIENT,
+  },
+  bounce: {
+    source: envVars.BOUNCE_SOURCE,
+    queueName: envVars.BOUNCE_QUEUE_NAME,
+    maildirPath: envVars.BOUNCE_MAILDIR_PATH,
+    pollInterval: envVars.BOUNCE_POLL_INTERVAL,
+  },
+  complaints: {
+    pauseThreshold: envVars.COMPLAINT_PAUSE_THRESHOLD,
+    pauseMinSent: envVars.COMPLAINT_PAUSE_MIN_SENT,
+  },
+  retry: {
+    maxFailures: envVars.RETRY_MAX_FAILURES,
+    maxDelaySeconds: envVars.RETRY_MAX_DELAY_SECONDS,
+  },
+  rateLimit: {
+    store: envVars.RATE_LIMIT_STORE,
+  },
+  domainPolicy: {
+    source: envVars.DOMAIN_POLICY_SOURCE,
+    file: envVars.DOMAIN_POLICY_FILE,
+    reloadInterval: envVars.DOMAIN_POLICY_RELOAD_INTERVAL,
+  },
+  mx: {
+    cacheTtlSeconds: envVars.MX_CACHE_TTL_SECONDS,
+  },
+  adaptiveThrottle: {
+    enabled: envVars.ADAPTIVE_THROTTLE_ENABLED,
+    minFactor: envVars.ADAPTIVE_THROTTLE_MIN_FACTOR,
+    rampUpSends: envVars.ADAPTIVE_THROTTLE_RAMP_UP_SENDS,
+  },
+  idempotency: {
+    store: envVars.IDEMPOTENCY_STORE,
+    windowHours: envVars.IDEMPOTENCY_WINDOW_HOURS,
+    claimLeaseSeconds: envVars.IDEMPOTENCY_CLAIM_LEASE_SECONDS,
+  },
+  quietHours: {
+    start: envVars.QUIET_HOURS_START,
+    end: envVars.QUIET_HOURS_END,
+  },
 };
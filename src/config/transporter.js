@@ -2,6 +2,7 @@
 const nodemailer = require('nodemailer');
 const config = require('./config');
 const logger = require('./logger');
+const { buildSigningOptions } = require('../utils/dkim');
 // Environment-specific configuration
 const smtpConfig = {
     // Required SMTP settings
@@ -46,6 +47,12 @@ const smtpObj = {
     name: smtpConfig.name || 'SMTP Email Service', // HELO/EHLO name (should match your domain)
     debug: smtpConfig.debug || false,
 };
+
+// DKIM signing for the From domain (keys from SMTP_DKIM_* env or key files)
+const dkim = buildSigningOptions(config.smtp.dkim.domain, config.smtp.dkim);
+if (dkim) {
+    smtpObj.dkim = dkim;
+}
 const transporter = nodemailer.createTransport(smtpObj);
 
 // Verify transporter asynchronously (non-blocking)
@@ -0,0 +1,57 @@
+const he = require('he');
+const forwardService = require('../services/forward.service');
+const { renderPage } = require('../utils/page');
+
+const RESULT_MESSAGES = {
+    queued: 'Thanks! The email is on its way to your friend.',
+    invalid_email: 'Please enter a valid email address.',
+    suppressed: 'This address has opted out of our emails.',
+    rate_limited: 'You have reached the forwarding limit for this email.',
+    not_found: 'This campaign is no longer available.',
+    failed: 'Something went wrong, please try again later.',
+};
+
+/**
+ * Forward form markup
+ */
+const renderForm = (action, message = '') => `${message ? `<p>${he.escape(message)}</p>` : ''}
+<form method="POST" action="${he.escape(action)}">
+<p><input type="email" name="email" required placeholder="friend@example.com" style="width: 260px;"></p>
+<button type="submit">Forward</button>
+</form>`;
+
+/**
+ * GET /forward/:token
+ */
+const showForm = (req, res) => {
+    if (!forwardService.verifyToken(req.params.token)) {
+        return res.status(400).send(renderPage('Invalid link', '<p>This forward link is invalid or has expired.</p>'));
+    }
+    return res.send(renderPage('Forward to a friend', renderForm(req.originalUrl)));
+};
+
+/**
+ * POST /forward/:token
+ */
+const forward = async (req, res, next) => {
+    try {
+        const { status } = await forwardService.forward(req.params.token, req.body?.email);
+
+        if (status === 'invalid_token') {
+            return res.status(400).send(renderPage('Invalid link', '<p>This forward link is invalid or has expired.</p>'));
+        }
+        if (status === 'queued') {
+            return res.send(renderPage('Forwarded', `<p>${he.escape(RESULT_MESSAGES.queued)}</p>`));
+        }
+
+        const httpStatus = { invalid_email: 400, rate_limited: 429, not_found: 404, failed: 500 }[status] || 400;
+        return res.status(httpStatus).send(renderPage('Forward to a friend', renderForm(req.originalUrl, RESULT_MESSAGES[status])));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    showForm,
+    forward,
+};
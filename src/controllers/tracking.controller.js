@@ -0,0 +1,46 @@
+const trackingService = require('../services/tracking.service');
+const logger = require('../config/logger');
+
+/**
+ * GET /t/o/:token.gif
+ * Always serves the pixel; recording failures never break image loading
+ */
+const openPixel = async (req, res) => {
+    try {
+        await trackingService.recordOpen(req.params.token, req.headers);
+    } catch (error) {
+        logger.error({ error: error.message }, 'Failed to record open');
+    }
+
+    res.set({
+        'Content-Type': 'image/gif',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        Pragma: 'no-cache',
+        Expires: '0',
+    });
+    res.send(trackingService.getPixel());
+};
+
+/**
+ * GET /t/c/:token
+ * Records the click and redirects to the original link from the email
+ */
+const clickRedirect = async (req, res, next) => {
+    try {
+        const url = await trackingService.recordClick(req.params.token, req.headers);
+        if (!url) {
+            return res.status(404).send('Link not found or expired');
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.set('Referrer-Policy', 'no-referrer');
+        return res.redirect(302, url);
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    openPixel,
+    clickRedirect,
+};
@@ -0,0 +1,56 @@
+const he = require('he');
+const unsubscribeService = require('../services/unsubscribe.service');
+const { renderPage } = require('../utils/page');
+
+/**
+ * GET /unsubscribe/:token
+ * Shows a confirmation form (GET must not unsubscribe: link scanners prefetch URLs)
+ */
+const showConfirmation = (req, res) => {
+    const data = unsubscribeService.verifyToken(req.params.token);
+    if (!data) {
+        return res.status(400).send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    return res.send(
+        renderPage(
+            'Unsubscribe',
+            `<p>Stop receiving emails at <strong>${he.escape(data.email)}</strong>?</p>
+<form method="POST" action="${he.escape(req.originalUrl)}">
+<p><textarea name="feedback" rows="3" cols="40" placeholder="Tell us why (optional)"></textarea></p>
+<button type="submit">Unsubscribe</button>
+</form>`
+        )
+    );
+};
+
+/**
+ * POST /unsubscribe/:token
+ * Handles both RFC 8058 one-click requests (List-Unsubscribe=One-Click) and the confirmation form
+ */
+const unsubscribe = async (req, res, next) => {
+    try {
+        const isOneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+        const data = await unsubscribeService.unsubscribe(req.params.token, {
+            feedback: req.body?.feedback,
+            source: isOneClick ? 'one-click' : 'link',
+        });
+
+        if (!data) {
+            return res.status(400).send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+        }
+
+        if (isOneClick) {
+            return res.status(200).send('Unsubscribed');
+        }
+
+        return res.send(renderPage('Unsubscribed', `<p><strong>${he.escape(data.email)}</strong> will no longer receive these emails.</p>`));
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    showConfirmation,
+    unsubscribe,
+};
@@ -23,9 +23,28 @@ const CampaignSchema = new Schema({
     status: {
         type: String,
         required: true,
-        enum: ['Draft', 'Sent', 'InProgress', 'Scheduled'],
+        enum: ['Draft', 'Sent', 'InProgress', 'Scheduled', 'Paused'],
         default: 'Draft'
     },
+    // CampaignSend that moved the campaign to InProgress (may resume it after a crash)
+    campaignSendId: {
+        type: Schema.Types.ObjectId,
+        ref: 'CampaignSend',
+        default: null
+    },
+    // Set while status is Paused (e.g. auto-paused on spam complaints)
+    statusBeforePause: {
+        type: String,
+        default: null
+    },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    pauseReason: {
+        type: String,
+        default: ''
+    },
     layout: {
         type: String,
         required: false,
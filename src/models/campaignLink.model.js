@@ -14,7 +14,19 @@ const CampaignLinkSchema = new Schema({
     },
     email: {
         type: String,
-        required: true
+        // Click-tracking links are shared by all recipients of a campaign
+        required: function () {
+            return !this.url;
+        }
+    },
+    statsId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Stats',
+        default: null
+    },
+    url: {
+        type: String,
+        default: null
     },
     isActive: {
         type: Boolean,
@@ -24,5 +36,7 @@ const CampaignLinkSchema = new Schema({
     timestamps: true
 });
 
+CampaignLinkSchema.index({ statsId: 1 });
+
 const CampaignLink = mongoose.model('CampaignLink', CampaignLinkSchema);
 module.exports = CampaignLink; 
\ No newline at end of file
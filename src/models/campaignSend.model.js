@@ -47,10 +47,96 @@ const CampaignSendSchema = new Schema({
         type: Date,
         default: Date.now,
         required: false
+    },
+    trackOpens: {
+        type: Boolean,
+        default: true
+    },
+    trackClicks: {
+        type: Boolean,
+        default: true
+    },
+    localSendTime: {
+        type: String,
+        default: null,
+        match: [/^([01]?\d|2[0-3]):[0-5]\d$/, 'localSendTime must be HH:mm']
+    },
+    quietHours: {
+        start: {
+            type: String,
+            default: null
+        },
+        end: {
+            type: String,
+            default: null
+        }
+    },
+    waves: {
+        type: [{
+            timezone: {
+                type: String,
+                required: true
+            },
+            releaseAt: {
+                type: Date,
+                required: true
+            },
+            status: {
+                type: String,
+                enum: ['pending', 'releasing', 'released', 'cancelled'],
+                default: 'pending'
+            },
+            // Lease of the instance releasing the wave; a stale lease is taken over
+            claimedAt: {
+                type: Date,
+                default: null
+            },
+            recipients: {
+                type: Number,
+                default: 0
+            },
+            releasedAt: {
+                type: Date,
+                default: null
+            }
+        }],
+        default: []
+    },
+    scheduleStatus: {
+        type: String,
+        enum: ['pending', 'processing', 'releasing', 'completed', 'cancelled', 'failed', 'missed'],
+        default: 'pending'
+    },
+    claimedAt: {
+        type: Date,
+        default: null
+    },
+    claimedBy: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Earliest retry of a failed launch (backoff between attempts)
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
     }
 }, { timestamps: true });
 
 CampaignSendSchema.index({ userId: 1, createdAt: -1 });
+CampaignSendSchema.index({ isScheduled: 1, scheduleStatus: 1, scheduleTime: 1 });
+CampaignSendSchema.index({ scheduleStatus: 1, 'waves.status': 1, 'waves.releaseAt': 1 });
 
 const CampaignSend = mongoose.model('CampaignSend', CampaignSendSchema);
 module.exports = CampaignSend;
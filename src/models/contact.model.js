@@ -31,6 +31,16 @@ const ContactSchema = new Schema({
         type: String,
         required: false,
         trim: true
+    },
+    timezone: {
+        type: String,
+        required: false,
+        trim: true
+    },
+    customFields: {
+        type: Map,
+        of: String,
+        default: {}
     }
 }, {
     timestamps: true
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const Schema = mongoose.Schema;
+
+/**
+ * Per-recipient delivery ledger, one row per queued message (keyed like the idempotency store)
+ * queued: written by the producer before enqueueing
+ * deferred: held back (quiet hours, paused campaign, another worker sending)
+ * retrying: failed with a retryable error, SQS will redeliver
+ * sent / suppressed / failed: final
+ */
+const DeliverySchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    campaignId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Campaign',
+        default: null
+    },
+    campaignSendId: {
+        type: Schema.Types.ObjectId,
+        ref: 'CampaignSend',
+        default: null
+    },
+    statsId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Stats',
+        default: null
+    },
+    recipient: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['queued', 'deferred', 'retrying', 'sent', 'suppressed', 'failed'],
+        default: 'queued'
+    },
+    messageId: {
+        type: String,
+        default: ''
+    },
+    sqsMessageId: {
+        type: String,
+        default: ''
+    },
+    transporter: {
+        type: String,
+        default: ''
+    },
+    processor: {
+        type: String,
+        default: ''
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    responseCode: {
+        type: Number,
+        default: null
+    },
+    response: {
+        type: String,
+        default: ''
+    },
+    failures: [
+        {
+            at: Date,
+            attempt: Number,
+            responseCode: Number,
+            enhancedStatus: String,
+            category: String,
+            response: String
+        }
+    ],
+    queuedAt: {
+        type: Date,
+        default: null
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    deadLetteredAt: {
+        type: Date,
+        default: null
+    },
+    deadLetterReason: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true });
+
+DeliverySchema.index({ recipient: 1, createdAt: -1 });
+DeliverySchema.index({ campaignId: 1, status: 1 });
+DeliverySchema.index({ statsId: 1, recipient: 1 });
+DeliverySchema.index({ messageId: 1 }, { sparse: true });
+
+// add plugin that converts mongoose to json
+DeliverySchema.plugin(toJSON);
+DeliverySchema.plugin(paginate);
+
+/**
+ * Deliveries to a recipient, newest first
+ * @param {string} email - Recipient address
+ * @param {Object} [filter] - Extra filter (e.g. { campaignId, status })
+ * @param {Object} [options] - paginate options (sortBy, limit, page, populate)
+ * @returns {Promise<QueryResult>}
+ */
+DeliverySchema.statics.paginateByRecipient = async function (email, filter = {}, options = {}) {
+    return this.paginate(
+        { ...filter, recipient: String(email).trim().toLowerCase() },
+        { sortBy: 'createdAt:desc', ...options }
+    );
+};
+
+/**
+ * Deliveries of a campaign, optionally by status
+ * @param {ObjectId} campaignId
+ * @param {Object} [filter] - Extra filter (e.g. { status: 'failed' })
+ * @param {Object} [options] - paginate options (sortBy, limit, page, populate)
+ * @returns {Promise<QueryResult>}
+ */
+DeliverySchema.statics.paginateByCampaign = async function (campaignId, filter = {}, options = {}) {
+    return this.paginate({ ...filter, campaignId }, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Latest delivery of a campaign (or of any campaign) to a recipient: "did this person get the email?"
+ * @param {string} email - Recipient address
+ * @param {ObjectId} [campaignId]
+ * @returns {Promise<Delivery|null>}
+ */
+DeliverySchema.statics.findLatestForRecipient = async function (email, campaignId = null) {
+    const filter = { recipient: String(email).trim().toLowerCase() };
+    if (campaignId) {
+        filter.campaignId = campaignId;
+    }
+    return this.findOne(filter).sort({ createdAt: -1 });
+};
+
+/**
+ * Find a delivery by the Message-ID header it was sent with
+ * @param {string} messageId - e.g. <1700000000000.abc@example.com>
+ * @returns {Promise<Delivery|null>}
+ */
+DeliverySchema.statics.findByMessageId = async function (messageId) {
+    const normalized = String(messageId || '').trim();
+    if (!normalized) {
+        return null;
+    }
+    const bracketed = normalized.startsWith('<') ? normalized : `<${normalized}>`;
+    return this.findOne({ messageId: bracketed });
+};
+
+const Delivery = mongoose.model('Delivery', DeliverySchema);
+module.exports = Delivery;
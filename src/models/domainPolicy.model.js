@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Sending policy entries (DOMAIN_POLICY_SOURCE=mongo)
+ * global: limits across all domains
+ * default: domains without their own entry or group
+ * group: domains sharing one budget and cooldown (domains lists the members)
+ * domain: a single recipient domain (name is the domain)
+ * Disabled entries are ignored, except groups: a disabled group removes the built-in group of that name
+ */
+const DomainPolicySchema = new Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['global', 'default', 'group', 'domain']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    domains: [
+        {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    ],
+    perSecond: {
+        type: Number
+    },
+    perMinute: {
+        type: Number
+    },
+    perHour: {
+        type: Number
+    },
+    perDay: {
+        type: Number
+    },
+    burst: {
+        type: Number
+    },
+    cooldownSeconds: {
+        type: Number
+    },
+    maxConnections: {
+        type: Number
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+DomainPolicySchema.index({ type: 1, name: 1 }, { unique: true });
+
+const DomainPolicy = mongoose.model('DomainPolicy', DomainPolicySchema);
+module.exports = DomainPolicy;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Send idempotency record, keyed on the producer-supplied idempotency key
+ * claimed: a worker is sending (until leaseUntil); committed: the email was sent
+ */
+const IdempotencyKeySchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['claimed', 'committed'],
+        default: 'claimed'
+    },
+    owner: {
+        type: String,
+        default: ''
+    },
+    leaseUntil: {
+        type: Date,
+        default: null
+    },
+    messageId: {
+        type: String,
+        default: ''
+    },
+    committedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// Records are removed once the idempotency window has passed
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+module.exports = IdempotencyKey;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Shared rate limiter state
+ * Limit keys (key: domain:<domain>, group:<group> or global) hold the GCRA theoretical arrival time of each window
+ * (tat: { perSecond, perMinute, perHour, perDay }, epoch ms); cooldowns (key: cooldown:<limit key>) hold until
+ */
+const RateLimitCounterSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    tat: {
+        type: Schema.Types.Mixed,
+        default: undefined
+    },
+    until: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Limit state and cooldowns are removed once they can no longer affect a decision
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+module.exports = RateLimitCounter;
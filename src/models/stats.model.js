@@ -42,6 +42,9 @@ const statsSchema = new mongoose.Schema({
     sent: [
         String
     ],
+    complaints: [
+        String
+    ],
 }, { timestamps: true });
 
 // Create compound indexes for frequently queried fields
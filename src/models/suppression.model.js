@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SuppressionSchema = new Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: ['unsubscribe', 'hard_bounce', 'complaint', 'manual']
+    },
+    source: {
+        type: String,
+        default: ''
+    },
+    campaignId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Campaign',
+        default: null
+    },
+    statsId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Stats',
+        default: null
+    },
+    details: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true });
+
+SuppressionSchema.index({ reason: 1, createdAt: -1 });
+
+const Suppression = mongoose.model('Suppression', SuppressionSchema);
+module.exports = Suppression;
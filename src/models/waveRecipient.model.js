@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Recipients of a time zone wave, assigned when the waves of a localised send are planned
+ * Released waves enqueue these rows as planned and delete them
+ */
+const WaveRecipientSchema = new Schema({
+    campaignSendId: {
+        type: Schema.Types.ObjectId,
+        ref: 'CampaignSend',
+        required: true
+    },
+    timezone: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    contactId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Contact',
+        default: null
+    }
+}, { timestamps: true });
+
+WaveRecipientSchema.index({ campaignSendId: 1, timezone: 1 });
+// Leftovers of cancelled or failed sends
+WaveRecipientSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const WaveRecipient = mongoose.model('WaveRecipient', WaveRecipientSchema);
+module.exports = WaveRecipient;
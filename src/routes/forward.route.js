@@ -0,0 +1,11 @@
+const express = require('express');
+const forwardController = require('../controllers/forward.controller');
+
+const router = express.Router();
+
+router
+    .route('/:token')
+    .get(forwardController.showForm)
+    .post(forwardController.forward);
+
+module.exports = router;
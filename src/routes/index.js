@@ -0,0 +1,13 @@
+const express = require('express');
+const unsubscribeRoute = require('./unsubscribe.route');
+const trackingRoute = require('./tracking.route');
+const forwardRoute = require('./forward.route');
+
+const router = express.Router();
+
+router.get('/health', (req, res) => res.json({ status: 'ok' }));
+router.use('/unsubscribe', unsubscribeRoute);
+router.use('/t', trackingRoute);
+router.use('/forward', forwardRoute);
+
+module.exports = router;
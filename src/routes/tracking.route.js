@@ -0,0 +1,9 @@
+const express = require('express');
+const trackingController = require('../controllers/tracking.controller');
+
+const router = express.Router();
+
+router.get('/o/:token.gif', trackingController.openPixel);
+router.get('/c/:token', trackingController.clickRedirect);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const unsubscribeController = require('../controllers/unsubscribe.controller');
+
+const router = express.Router();
+
+router
+    .route('/:token')
+    .get(unsubscribeController.showConfirmation)
+    .post(unsubscribeController.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+// Socket errors that mean the provider dropped the connection
+const CONNECTION_RESET_CODES = new Set(['ECONNRESET', 'EPIPE']);
+
+/**
+ * Adaptive (AIMD) throttling per rate limit key (domain or provider group)
+ * Each key has a factor applied to its policy limits: provider deferrals (421, 4.7.x) and spikes of
+ * connection resets halve it, every rampUpSends successful sends without a deferral add increaseStep back
+ * State is per process
+ */
+class AdaptiveThrottleService {
+    constructor() {
+        this.enabled = config.adaptiveThrottle?.enabled !== false;
+        this.minFactor = config.adaptiveThrottle?.minFactor || 0.1;
+        this.rampUpSends = config.adaptiveThrottle?.rampUpSends || 50;
+        this.decreaseFactor = 0.5;
+        this.increaseStep = 0.1;
+
+        // Concurrent sends see the same deferral: decrease at most once per interval
+        this.decreaseIntervalMs = 30 * 1000;
+
+        // Connection resets within resetWindowMs that count as a spike
+        this.resetWindowMs = 60 * 1000;
+        this.resetSpikeThreshold = 5;
+
+        this.states = new Map();
+    }
+
+    /**
+     * Adaptive outcome of a failed send
+     * @returns {string|null} deferral, connection_reset or null (no effect on the rate)
+     */
+    classify(error, verdict = {}) {
+        if (error.responseCode === 421 || /^4\.7\./.test(verdict.enhancedStatus || '')) {
+            return 'deferral';
+        }
+        if (CONNECTION_RESET_CODES.has(error.code)) {
+            return 'connection_reset';
+        }
+        return null;
+    }
+
+    getState(key) {
+        if (!this.states.has(key)) {
+            this.states.set(key, { factor: 1, successes: 0, resets: [], lastDecreaseAt: 0 });
+        }
+        return this.states.get(key);
+    }
+
+    /**
+     * Current factor of a key (1 = full policy limits)
+     */
+    getFactor(key) {
+        return this.states.get(key)?.factor || 1;
+    }
+
+    /**
+     * Policy limits scaled by the key's factor
+     * @param {Object} limits - { perSecond?, perMinute?, perHour?, perDay?, burst? }
+     */
+    apply(key, limits) {
+        const factor = this.getFactor(key);
+        if (factor >= 1) {
+            return limits;
+        }
+
+        const effective = {};
+        for (const [name, value] of Object.entries(limits)) {
+            effective[name] = name === 'burst' ? Math.max(1, Math.floor(value * factor)) : value * factor;
+        }
+        return effective;
+    }
+
+    /**
+     * Record a send outcome
+     * @param {string} key - Rate limit key
+     * @param {string} outcome - success, deferral or connection_reset
+     * @returns {boolean} true if the factor changed
+     */
+    record(key, outcome) {
+        if (!this.enabled) {
+            return false;
+        }
+
+        if (outcome === 'success') {
+            return this.increase(key);
+        }
+        if (outcome === 'deferral') {
+            return this.decrease(key, outcome);
+        }
+        if (outcome === 'connection_reset') {
+            const state = this.getState(key);
+            const now = Date.now();
+            state.resets = state.resets.filter(t => t > now - this.resetWindowMs);
+            state.resets.push(now);
+
+            if (state.resets.length >= this.resetSpikeThreshold) {
+                state.resets = [];
+                return this.decrease(key, 'connection_reset_spike');
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Additive increase after rampUpSends successful sends
+     */
+    increase(key) {
+        const state = this.states.get(key);
+        if (!state || state.factor >= 1) {
+            return false;
+        }
+
+        state.successes++;
+        if (state.successes < this.rampUpSends) {
+            return false;
+        }
+
+        state.successes = 0;
+        state.factor = Math.min(1, Math.round((state.factor + this.increaseStep) * 1000) / 1000);
+        logger.info({ key, factor: state.factor }, 'Adaptive throttle ramping up');
+        return true;
+    }
+
+    /**
+     * Multiplicative decrease
+     */
+    decrease(key, reason) {
+        const state = this.getState(key);
+        const now = Date.now();
+
+        // Success streak starts over either way
+        state.successes = 0;
+        if (now - state.lastDecreaseAt < this.decreaseIntervalMs || state.factor <= this.minFactor) {
+            return false;
+        }
+
+        state.factor = Math.max(this.minFactor, state.factor * this.decreaseFactor);
+        state.lastDecreaseAt = now;
+        logger.warn({ key, factor: state.factor, reason }, 'Adaptive throttle backing off');
+        return true;
+    }
+
+    /**
+     * Forget keys that are back at full rate without recent resets
+     */
+    cleanup() {
+        const cutoff = Date.now() - this.resetWindowMs;
+        for (const [key, state] of this.states.entries()) {
+            if (state.factor >= 1 && state.resets.every(t => t <= cutoff)) {
+                this.states.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Keys currently below full rate
+     */
+    getStats() {
+        const stats = {};
+        for (const [key, state] of this.states.entries()) {
+            if (state.factor < 1) {
+                stats[key] = { factor: state.factor, successes: state.successes };
+            }
+        }
+        return stats;
+    }
+}
+
+module.exports = new AdaptiveThrottleService();
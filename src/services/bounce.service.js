@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Stats = require('../models/stats.model');
+const suppressionService = require('./suppression.service');
+const unsubscribeService = require('./unsubscribe.service');
+const {
+    parseMessage,
+    parseHeaders,
+    getHeader,
+    findPart,
+    parseFieldBlocks,
+    parseAddressField,
+} = require('../utils/mime');
+const verp = require('../utils/verp');
+const smtpClassifier = require('../utils/smtpClassifier');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+// Headers of an inbound message that may carry the envelope recipient (our VERP address)
+const ENVELOPE_RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'envelope-to', 'x-envelope-to', 'to'];
+
+/**
+ * Bounce (DSN) processing
+ * Parses RFC 3464 delivery status notifications, attributes them to the campaign
+ * and recipient they came from, records them in Stats.bounces and suppresses hard bounces
+ */
+class BounceService {
+    /**
+     * Parse a DSN
+     * @param {string|Buffer} raw - Raw RFC 822 message
+     * @returns {{reportingMta: string, recipients: Array, originalHeaders: Object}|null} null if not a DSN
+     */
+    parseDsn(raw) {
+        const message = parseMessage(raw);
+        const statusPart = findPart(message, 'message/delivery-status')
+            || findPart(message, 'message/global-delivery-status');
+
+        if (!statusPart) {
+            return null;
+        }
+
+        const [perMessage = {}, ...perRecipient] = parseFieldBlocks(statusPart.body);
+
+        const recipients = perRecipient
+            .filter(fields => getHeader(fields, 'final-recipient') || getHeader(fields, 'original-recipient'))
+            .map(fields => ({
+                finalRecipient: parseAddressField(getHeader(fields, 'final-recipient')),
+                originalRecipient: parseAddressField(getHeader(fields, 'original-recipient')),
+                action: getHeader(fields, 'action').toLowerCase(),
+                status: (getHeader(fields, 'status').match(/\d\.\d{1,3}\.\d{1,3}/) || [''])[0],
+                diagnosticCode: getHeader(fields, 'diagnostic-code').replace(/^smtp;\s*/i, ''),
+                remoteMta: getHeader(fields, 'remote-mta').replace(/^dns;\s*/i, ''),
+            }));
+
+        return {
+            reportingMta: getHeader(perMessage, 'reporting-mta').replace(/^dns;\s*/i, ''),
+            recipients,
+            headers: message.headers,
+            originalHeaders: this.getOriginalHeaders(message),
+        };
+    }
+
+    /**
+     * Decode the VERP address a message was delivered to
+     * @returns {{statsId: string, recipientHash: string}|null}
+     */
+    decodeVerp(headers, names = ENVELOPE_RECIPIENT_HEADERS) {
+        for (const name of names) {
+            for (const value of headers[name] || []) {
+                for (const address of value.split(',')) {
+                    const decoded = verp.decode(address, config.security.secretKey);
+                    if (decoded) {
+                        return decoded;
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Headers of the returned original message (text/rfc822-headers or message/rfc822 part)
+     */
+    getOriginalHeaders(message) {
+        const headersPart = findPart(message, 'text/rfc822-headers');
+        if (headersPart) {
+            return parseHeaders(headersPart.body);
+        }
+
+        const messagePart = findPart(message, 'message/rfc822') || findPart(message, 'message/global');
+        if (messagePart) {
+            return parseMessage(messagePart.body).headers;
+        }
+
+        return {};
+    }
+
+    /**
+     * Classify a per-recipient DSN entry
+     * @returns {'hard'|'soft'|'delayed'|null} null for non-failure actions (delivered, relayed, expanded)
+     */
+    classify(report) {
+        if (report.action === 'delayed') {
+            return 'delayed';
+        }
+        if (report.action !== 'failed') {
+            return null;
+        }
+
+        // Only a permanent failure caused by the address itself is a hard bounce
+        const verdict = smtpClassifier.classify({ response: report.diagnosticCode, enhancedStatus: report.status });
+        return verdict.suppress ? 'hard' : 'soft';
+    }
+
+    /**
+     * Map a bounce back to the campaign and recipient it came from
+     * Prefers the VERP envelope address (or the original Return-Path), falls back to
+     * the signed List-Unsubscribe token carried in the returned headers
+     * @returns {{email: string|null, statsId: string|null, campaignId: string|null, recipientHash: string|null}}
+     */
+    attribute(headers, originalHeaders = {}) {
+        const decoded = this.decodeVerp(headers) || this.decodeVerp(originalHeaders, ['return-path']);
+
+        const listUnsubscribe = getHeader(originalHeaders, 'list-unsubscribe');
+        const url = (listUnsubscribe.match(/<(https?:\/\/[^>]+)>/i) || [])[1];
+        const token = url ? url.replace(/[?#].*$/, '').split('/').pop() : null;
+        const data = token ? unsubscribeService.verifyToken(token) : null;
+
+        const statsId = decoded?.statsId || data?.statsId;
+
+        return {
+            email: data?.email || null,
+            statsId: statsId && mongoose.isValidObjectId(statsId) ? statsId : null,
+            campaignId: data?.campaignId || null,
+            recipientHash: decoded?.recipientHash || null,
+        };
+    }
+
+    /**
+     * Pick the address we originally sent to for a per-recipient report
+     * With VERP, the candidate matching the encoded recipient hash wins (forwarding can change Final-Recipient)
+     */
+    resolveRecipient(report, attribution, isSingleRecipient) {
+        if (attribution.recipientHash) {
+            const match = [attribution.email, report.originalRecipient, report.finalRecipient]
+                .find(email => verp.matchesRecipient(attribution, email));
+            if (match) {
+                return match;
+            }
+        }
+
+        return (isSingleRecipient && attribution.email)
+            || report.originalRecipient
+            || report.finalRecipient;
+    }
+
+    /**
+     * Process one raw inbound message
+     * @returns {Promise<{isDsn: boolean, bounces: Array}>}
+     */
+    async processMessage(raw) {
+        const dsn = this.parseDsn(raw);
+        if (!dsn) {
+            // Auto-replies and non-standard bounces can still be attributed through VERP
+            const decoded = this.decodeVerp(parseMessage(raw).headers);
+            if (decoded) {
+                logger.info({ statsId: decoded.statsId, recipientHash: decoded.recipientHash }, 'Non-DSN reply to VERP address');
+            }
+            return { isDsn: false, bounces: [], verp: decoded };
+        }
+
+        const attribution = this.attribute(dsn.headers, dsn.originalHeaders);
+        const bounces = [];
+
+        for (const report of dsn.recipients) {
+            const type = this.classify(report);
+            if (type !== 'hard' && type !== 'soft') {
+                continue;
+            }
+
+            const email = this.resolveRecipient(report, attribution, dsn.recipients.length === 1);
+
+            const bounce = {
+                email,
+                type,
+                status: report.status,
+                diagnosticCode: report.diagnosticCode,
+                statsId: attribution.statsId,
+                campaignId: attribution.campaignId,
+            };
+
+            await this.recordBounce(bounce);
+            bounces.push(bounce);
+        }
+
+        return { isDsn: true, bounces };
+    }
+
+    /**
+     * Record a bounce in Stats.bounces and suppress hard bounces
+     * Also used for synchronous SMTP rejections (source 'smtp')
+     */
+    async recordBounce(bounce) {
+        if (bounce.statsId) {
+            await Stats.updateOne(
+                { _id: bounce.statsId },
+                { $addToSet: { bounces: bounce.email } }
+            );
+        }
+
+        if (bounce.type === 'hard') {
+            await suppressionService.suppress(bounce.email, 'hard_bounce', {
+                source: bounce.source || 'dsn',
+                campaignId: bounce.campaignId,
+                statsId: bounce.statsId,
+                details: `${bounce.status} ${bounce.diagnosticCode}`.trim().substring(0, 1000),
+            });
+        }
+
+        logger.info({
+            email: bounce.email,
+            type: bounce.type,
+            status: bounce.status,
+            statsId: bounce.statsId,
+        }, 'Bounce recorded');
+    }
+}
+
+module.exports = new BounceService();
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const sqsService = require('./sqs.service');
+const bounceService = require('./bounce.service');
+const complaintService = require('./complaint.service');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Bounce and complaint ingestion
+ * Pulls raw messages from the configured source; ARF feedback reports go to ComplaintService,
+ * DSNs to BounceService
+ * - sqs: a bounce queue whose bodies are raw RFC 822 messages (or SNS/SES notifications carrying one)
+ * - maildir: a local Maildir (new/ -> cur/), mainly for tests and self-hosted MTAs
+ */
+class BounceProcessorService {
+    constructor() {
+        this.source = config.bounce?.source || 'none';
+        this.queueName = config.bounce?.queueName;
+        this.maildirPath = config.bounce?.maildirPath;
+        this.maxMessagesPerRun = 100;
+
+        this.queueUrl = null;
+        this.interval = null;
+        this.isRunning = false;
+        this.stats = {
+            totalReceived: 0,
+            totalBounces: 0,
+            totalComplaints: 0,
+            totalIgnored: 0,
+            totalFailed: 0,
+        };
+    }
+
+    /**
+     * Check if a bounce source is configured
+     */
+    isEnabled() {
+        return (this.source === 'sqs' && Boolean(this.queueName))
+            || (this.source === 'maildir' && Boolean(this.maildirPath));
+    }
+
+    /**
+     * Extract the raw message from an SQS body
+     * Accepts raw MIME, `{ content }` and SNS notifications wrapping either
+     */
+    extractRawMessage(body) {
+        if (!body || body.trimStart()[0] !== '{') {
+            return body;
+        }
+
+        try {
+            let payload = JSON.parse(body);
+            if (payload.Type === 'Notification' && typeof payload.Message === 'string') {
+                payload = payload.Message.trimStart()[0] === '{' ? JSON.parse(payload.Message) : { content: payload.Message };
+            }
+
+            const content = payload.content || payload.raw || '';
+            return payload.receipt?.action?.encoding === 'BASE64'
+                ? Buffer.from(content, 'base64').toString('utf8')
+                : content;
+        } catch (error) {
+            return body;
+        }
+    }
+
+    /**
+     * Process one raw message
+     * @returns {Promise<boolean>} true if the message can be discarded
+     */
+    async handleRawMessage(raw, source) {
+        this.stats.totalReceived++;
+
+        try {
+            const { isReport, complaint } = await complaintService.processMessage(raw);
+            if (isReport) {
+                this.stats.totalComplaints += complaint ? 1 : 0;
+                return true;
+            }
+
+            const { isDsn, bounces } = await bounceService.processMessage(raw);
+            if (!isDsn) {
+                this.stats.totalIgnored++;
+                logger.debug({ source }, 'Ignoring inbound message that is neither a DSN nor a feedback report');
+            }
+            this.stats.totalBounces += bounces.length;
+            return true;
+        } catch (error) {
+            this.stats.totalFailed++;
+            logger.error({ error: error.message, source }, 'Failed to process inbound message');
+            return false;
+        }
+    }
+
+    /**
+     * Drain the bounce queue (up to maxMessagesPerRun)
+     */
+    async pollSqs() {
+        if (!this.queueUrl) {
+            this.queueUrl = await sqsService.resolveQueueUrl(this.queueName);
+        }
+
+        let processed = 0;
+        while (processed < this.maxMessagesPerRun) {
+            const messages = await sqsService.receiveFromQueue(this.queueUrl, 10, 0);
+            if (messages.length === 0) {
+                break;
+            }
+
+            for (const message of messages) {
+                const done = await this.handleRawMessage(this.extractRawMessage(message.Body), message.MessageId);
+                // Failed messages become visible again and are retried (bounce queue should have its own DLQ)
+                if (done) {
+                    await sqsService.deleteFromQueue(this.queueUrl, message.ReceiptHandle);
+                }
+            }
+            processed += messages.length;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Process new messages in the maildir, moving handled ones to cur/
+     */
+    async pollMaildir() {
+        const newDir = path.join(this.maildirPath, 'new');
+        const curDir = path.join(this.maildirPath, 'cur');
+
+        let files;
+        try {
+            files = (await fs.promises.readdir(newDir)).filter(name => !name.startsWith('.'));
+        } catch (error) {
+            logger.error({ error: error.message, maildir: this.maildirPath }, 'Failed to read bounce maildir');
+            return 0;
+        }
+
+        const batch = files.slice(0, this.maxMessagesPerRun);
+        for (const name of batch) {
+            const raw = await fs.promises.readFile(path.join(newDir, name), 'utf8');
+            const done = await this.handleRawMessage(raw, name);
+            if (done) {
+                await fs.promises.mkdir(curDir, { recursive: true });
+                await fs.promises.rename(path.join(newDir, name), path.join(curDir, `${name.split(':')[0]}:2,S`));
+            }
+        }
+
+        return batch.length;
+    }
+
+    /**
+     * Run one ingestion pass over the configured source
+     * @returns {Promise<number>} Messages read
+     */
+    async runOnce() {
+        if (!this.isEnabled()) {
+            return 0;
+        }
+
+        const count = this.source === 'sqs' ? await this.pollSqs() : await this.pollMaildir();
+        if (count > 0) {
+            logger.info({ source: this.source, count, stats: this.stats }, 'Bounce ingestion run complete');
+        }
+        return count;
+    }
+
+    /**
+     * Start periodic ingestion (standalone mode)
+     */
+    start(intervalSeconds = 60) {
+        if (this.interval || !this.isEnabled()) {
+            return;
+        }
+
+        const tick = async () => {
+            if (this.isRunning) {
+                return;
+            }
+            this.isRunning = true;
+            try {
+                await this.runOnce();
+            } catch (error) {
+                logger.error({ error: error.message }, 'Bounce ingestion run failed');
+            } finally {
+                this.isRunning = false;
+            }
+        };
+
+        this.interval = setInterval(tick, intervalSeconds * 1000);
+        tick();
+        logger.info({ source: this.source, intervalSeconds }, 'Bounce ingestion started');
+    }
+
+    /**
+     * Stop periodic ingestion
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Get ingestion statistics
+     */
+    getStats() {
+        return {
+            source: this.source,
+            ...this.stats,
+        };
+    }
+}
+
+module.exports = new BounceProcessorService();
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/campaign.model');
+const logger = require('../config/logger');
+
+/**
+ * Per-campaign pause state
+ * Paused campaigns keep their queued messages; senders defer them until the campaign is resumed
+ * State lives on Campaign.status so it is shared by all instances (standalone and Lambda)
+ */
+class CampaignPauseService {
+    constructor() {
+        this.cache = new Map();
+        this.cacheTtl = 30 * 1000;
+        this.deferSeconds = 15 * 60;
+    }
+
+    /**
+     * Check if a campaign is paused (cached briefly to keep the send path cheap)
+     */
+    async isPaused(campaignId) {
+        if (!campaignId || !mongoose.isValidObjectId(campaignId)) {
+            return false;
+        }
+
+        const key = String(campaignId);
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.paused;
+        }
+
+        const paused = Boolean(await Campaign.exists({ _id: key, status: 'Paused' }));
+        this.cache.set(key, { paused, expiresAt: Date.now() + this.cacheTtl });
+        return paused;
+    }
+
+    /**
+     * Pause a campaign, remembering its current status for resume
+     * @returns {Promise<boolean>} true if the campaign was not already paused
+     */
+    async pause(campaignId, reason = '') {
+        const result = await Campaign.updateOne(
+            { _id: campaignId, status: { $ne: 'Paused' } },
+            [{
+                $set: {
+                    statusBeforePause: '$status',
+                    status: 'Paused',
+                    pausedAt: '$$NOW',
+                    pauseReason: String(reason).substring(0, 500),
+                },
+            }]
+        );
+
+        this.cache.set(String(campaignId), { paused: true, expiresAt: Date.now() + this.cacheTtl });
+
+        if (result.modifiedCount === 1) {
+            logger.warn({ campaignId: String(campaignId), reason }, 'Campaign paused');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Resume a paused campaign
+     * @returns {Promise<boolean>} true if the campaign was paused
+     */
+    async resume(campaignId) {
+        const result = await Campaign.updateOne(
+            { _id: campaignId, status: 'Paused' },
+            [
+                { $set: { status: { $ifNull: ['$statusBeforePause', 'InProgress'] } } },
+                { $unset: ['statusBeforePause', 'pausedAt', 'pauseReason'] },
+            ]
+        );
+
+        this.cache.delete(String(campaignId));
+
+        if (result.modifiedCount === 1) {
+            logger.info({ campaignId: String(campaignId) }, 'Campaign resumed');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove expired cache entries
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache.entries()) {
+            if (entry.expiresAt <= now) {
+                this.cache.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new CampaignPauseService();
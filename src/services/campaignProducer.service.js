@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const validator = require('validator');
+const Campaign = require('../models/campaign.model');
+const CampaignSend = require('../models/campaignSend.model');
+const Contact = require('../models/contact.model');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const { resolveTimeZone } = require('../utils/timezone');
+const sqsService = require('./sqs.service');
+const suppressionService = require('./suppression.service');
+const deliveryService = require('./delivery.service');
+const logger = require('../config/logger');
+
+/**
+ * Campaign fan-out producer
+ * Expands a CampaignSend (groups -> contacts) into per-recipient SQS messages
+ */
+class CampaignProducerService {
+    constructor() {
+        this.batchSize = 10; // SendMessageBatch limit
+        this.lookupChunkSize = 1000; // Contacts per Mongo query
+        this.maxBatchRetries = 2;
+    }
+
+    /**
+     * Split an array into chunks
+     */
+    chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+
+    /**
+     * Get the sending user's time zone (default zone for contacts without one)
+     */
+    async getUserTimeZone(userId) {
+        const user = await User.findById(userId).select('timezone').lean();
+        return resolveTimeZone(user?.timezone);
+    }
+
+    /**
+     * Load active, deduplicated, non-suppressed contacts for a send
+     */
+    async loadRecipients(campaignSend) {
+        const defaultTimeZone = await this.getUserTimeZone(campaignSend.userId);
+
+        const groups = await Group.find({
+            _id: { $in: campaignSend.groups },
+            userId: campaignSend.userId,
+        }).select('contacts').lean();
+
+        const contactIds = [...new Set(groups.flatMap(group => group.contacts.map(String)))];
+
+        // Dedupe addresses across groups (first contact wins)
+        const recipients = new Map();
+        let inactive = 0;
+        let invalid = 0;
+
+        for (const ids of this.chunk(contactIds, this.lookupChunkSize)) {
+            const contacts = await Contact.find({ _id: { $in: ids } })
+                .select('name email active timezone')
+                .lean();
+
+            for (const contact of contacts) {
+                if (contact.active === false) {
+                    inactive++;
+                    continue;
+                }
+
+                const email = contact.email?.trim().toLowerCase();
+                if (!email || !validator.isEmail(email)) {
+                    invalid++;
+                    continue;
+                }
+
+                if (!recipients.has(email)) {
+                    recipients.set(email, contact);
+                }
+            }
+        }
+
+        // Skip unsubscribed and otherwise suppressed addresses
+        const suppressedEmails = await suppressionService.getSuppressedSet([...recipients.keys()]);
+        suppressedEmails.forEach(email => recipients.delete(email));
+
+        logger.info({
+            campaignSendId: campaignSend._id,
+            groups: groups.length,
+            contacts: contactIds.length,
+            recipients: recipients.size,
+            inactive,
+            invalid,
+            suppressed: suppressedEmails.size,
+        }, 'Resolved campaign recipients');
+
+        return [...recipients.entries()].map(([email, contact]) => ({
+            email,
+            contact,
+            timezone: resolveTimeZone(contact.timezone, defaultTimeZone),
+        }));
+    }
+
+    /**
+     * Build idempotency key for a recipient of a send
+     */
+    buildIdempotencyKey(campaignSendId, email) {
+        return crypto
+            .createHash('sha256')
+            .update(`${campaignSendId}:${email}`)
+            .digest('hex');
+    }
+
+    /**
+     * Build SQS message body for a single recipient
+     */
+    buildMessage(campaignSend, recipient) {
+        return {
+            to: recipient.email,
+            subject: campaignSend.mailsubject,
+            fromName: campaignSend.fromName,
+            contentType: 'html',
+            templateId: String(campaignSend.campaignId),
+            campaignId: String(campaignSend.campaignId),
+            campaignSendId: String(campaignSend._id),
+            statsId: String(campaignSend.statsId),
+            userId: String(campaignSend.userId),
+            contactId: recipient.contact?._id ? String(recipient.contact._id) : undefined,
+            trackOpens: campaignSend.trackOpens !== false,
+            trackClicks: campaignSend.trackClicks !== false,
+            timezone: recipient.timezone,
+            quietHours: campaignSend.quietHours?.start && campaignSend.quietHours?.end
+                ? { start: campaignSend.quietHours.start, end: campaignSend.quietHours.end }
+                : undefined,
+            idempotencyKey: this.buildIdempotencyKey(campaignSend._id, recipient.email),
+        };
+    }
+
+    /**
+     * Build SendMessageBatch entry (adds FIFO group/dedup ids for .fifo queues)
+     * Each recipient is its own message group: a message hidden for a deferral or retry blocks only itself
+     */
+    buildEntry(campaignSend, recipient, index, extra = {}) {
+        const body = { ...this.buildMessage(campaignSend, recipient), ...extra };
+        const entry = {
+            Id: String(index),
+            MessageBody: JSON.stringify(body),
+        };
+
+        if (sqsService.isFifoQueue()) {
+            entry.MessageGroupId = body.idempotencyKey;
+            entry.MessageDeduplicationId = body.idempotencyKey;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Send a batch of entries, retrying entries SQS reports as failed
+     */
+    async sendBatch(entries) {
+        let pending = entries;
+        let attempt = 0;
+
+        while (pending.length > 0 && attempt <= this.maxBatchRetries) {
+            attempt++;
+            const { failed } = await sqsService.sendMessageBatch(pending);
+            const failedIds = new Set(failed.map(f => f.Id));
+            pending = pending.filter(entry => failedIds.has(entry.Id));
+
+            if (pending.length > 0) {
+                logger.warn({
+                    attempt,
+                    failed: failed.map(f => ({ id: f.Id, code: f.Code, message: f.Message })),
+                }, 'Some messages failed to enqueue, retrying');
+            }
+        }
+
+        return {
+            enqueued: entries.length - pending.length,
+            failed: pending.length,
+            failedEntries: pending,
+        };
+    }
+
+    /**
+     * Load a CampaignSend by id (documents are passed through)
+     */
+    async getCampaignSend(campaignSendOrId) {
+        const campaignSend = campaignSendOrId?._id
+            ? campaignSendOrId
+            : await CampaignSend.findById(campaignSendOrId).lean();
+
+        if (!campaignSend) {
+            throw new Error(`CampaignSend not found: ${campaignSendOrId}`);
+        }
+
+        return campaignSend;
+    }
+
+    /**
+     * Claim the campaign for sending (Draft/Scheduled -> InProgress)
+     * The send that claimed it may claim it again, e.g. when a crashed launch is retried: recipients
+     * enqueued by the earlier attempt are deduplicated by their idempotency keys
+     * @returns {Promise<Object|null>} Campaign as it was before the claim, or null if not claimable
+     */
+    async claimCampaign(campaignSend) {
+        const campaign = await Campaign.findOneAndUpdate(
+            {
+                _id: campaignSend.campaignId,
+                $or: [
+                    { status: { $in: ['Draft', 'Scheduled'] } },
+                    { status: 'InProgress', campaignSendId: campaignSend._id },
+                ],
+            },
+            { $set: { status: 'InProgress', campaignSendId: campaignSend._id } },
+            { new: false }
+        ).lean();
+
+        if (!campaign) {
+            logger.warn({
+                campaignSendId: campaignSend._id,
+                campaignId: campaignSend.campaignId,
+            }, 'Campaign is not in Draft/Scheduled state, skipping fan-out');
+        } else if (campaign.status === 'InProgress') {
+            logger.info({
+                campaignSendId: campaignSend._id,
+                campaignId: campaignSend.campaignId,
+            }, 'Resuming fan-out of campaign claimed by an earlier attempt');
+        }
+
+        return campaign;
+    }
+
+    /**
+     * Mark the campaign as sent once every recipient is enqueued
+     * A campaign paused meanwhile (e.g. on complaints) stays Paused and resumes as Sent
+     */
+    async markCampaignSent(campaignSend) {
+        await Campaign.updateOne({ _id: campaignSend.campaignId, status: 'InProgress' }, { $set: { status: 'Sent' } });
+        await Campaign.updateOne(
+            { _id: campaignSend.campaignId, status: 'Paused', statusBeforePause: 'InProgress' },
+            { $set: { statusBeforePause: 'Sent' } }
+        );
+    }
+
+    /**
+     * Restore the campaign status after a failed fan-out so the send can be retried
+     */
+    async restoreCampaign(campaignSend, previousStatus) {
+        await Campaign.updateOne(
+            { _id: campaignSend.campaignId, status: 'InProgress', campaignSendId: campaignSend._id },
+            { $set: { status: previousStatus } }
+        ).catch(() => {});
+    }
+
+    /**
+     * Enqueue messages for a list of recipients
+     */
+    async enqueueRecipients(campaignSend, recipients) {
+        if (!sqsService.queueUrl) {
+            await sqsService.initialize();
+        }
+
+        const entries = recipients.map((recipient, index) => this.buildEntry(campaignSend, recipient, index));
+
+        let enqueued = 0;
+        let failed = 0;
+
+        for (const batch of this.chunk(entries, this.batchSize)) {
+            // Outbox: the delivery row exists before the message can be consumed
+            const bodies = batch.map(entry => JSON.parse(entry.MessageBody));
+            await deliveryService.recordQueued(bodies);
+
+            const result = await this.sendBatch(batch);
+            enqueued += result.enqueued;
+            failed += result.failed;
+
+            if (result.failed > 0) {
+                await deliveryService.recordEnqueueFailed(result.failedEntries.map(entry => JSON.parse(entry.MessageBody)));
+            }
+        }
+
+        return { enqueued, failed };
+    }
+
+    /**
+     * Fan out a CampaignSend into per-recipient SQS messages
+     * If some recipients could not be enqueued the campaign stays InProgress (partial: true) so the send
+     * can be retried; recipients already enqueued are deduplicated by their idempotency keys
+     * @param {string|Object} campaignSendOrId - CampaignSend document or id
+     */
+    async enqueueCampaignSend(campaignSendOrId) {
+        const campaignSend = await this.getCampaignSend(campaignSendOrId);
+
+        const campaign = await this.claimCampaign(campaignSend);
+        if (!campaign) {
+            return { skipped: true, reason: 'campaign_status', enqueued: 0, failed: 0 };
+        }
+
+        try {
+            const recipients = await this.loadRecipients(campaignSend);
+            const { enqueued, failed } = await this.enqueueRecipients(campaignSend, recipients);
+
+            const summary = {
+                campaignSendId: String(campaignSend._id),
+                campaignId: String(campaignSend.campaignId),
+                recipients: recipients.length,
+                enqueued,
+                failed,
+                partial: failed > 0,
+            };
+
+            if (failed > 0) {
+                logger.warn(summary, 'Campaign fan-out incomplete, some recipients could not be enqueued');
+                return summary;
+            }
+
+            await this.markCampaignSent(campaignSend);
+            logger.info(summary, 'Campaign fan-out complete');
+
+            return summary;
+        } catch (error) {
+            await this.restoreCampaign(campaignSend, campaign.status);
+
+            logger.error({
+                campaignSendId: campaignSend._id,
+                error: error.message,
+                stack: error.stack,
+            }, 'Campaign fan-out failed');
+
+            throw error;
+        }
+    }
+}
+
+module.exports = new CampaignProducerService();
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Stats = require('../models/stats.model');
+const Delivery = require('../models/delivery.model');
+const suppressionService = require('./suppression.service');
+const bounceService = require('./bounce.service');
+const {
+    parseMessage,
+    parseHeaders,
+    getHeader,
+    findPart,
+    parseFieldBlocks,
+    parseAddressField,
+} = require('../utils/mime');
+const verp = require('../utils/verp');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Feedback-loop complaint processing
+ * Parses ARF (RFC 5965) reports, correlates them with the delivery ledger (sent Delivery rows),
+ * suppresses the complainer and auto-pauses campaigns whose complaint rate is too high
+ */
+class ComplaintService {
+    constructor() {
+        this.pauseThreshold = config.complaints?.pauseThreshold ?? 0.003;
+        this.pauseMinSent = config.complaints?.pauseMinSent ?? 500;
+    }
+
+    /**
+     * Parse an ARF report
+     * @param {string|Buffer} raw - Raw RFC 822 message
+     * @returns {Object|null} null if not a feedback report
+     */
+    parseReport(raw) {
+        const message = parseMessage(raw);
+        const reportPart = findPart(message, 'message/feedback-report');
+        if (!reportPart) {
+            return null;
+        }
+
+        const [fields = {}] = parseFieldBlocks(reportPart.body);
+
+        const headersPart = findPart(message, 'text/rfc822-headers');
+        const messagePart = findPart(message, 'message/rfc822');
+        let originalHeaders = {};
+        if (headersPart) {
+            originalHeaders = parseHeaders(headersPart.body);
+        } else if (messagePart) {
+            originalHeaders = parseMessage(messagePart.body).headers;
+        }
+
+        return {
+            feedbackType: getHeader(fields, 'feedback-type').toLowerCase() || 'abuse',
+            userAgent: getHeader(fields, 'user-agent'),
+            originalMailFrom: parseAddressField(getHeader(fields, 'original-mail-from')),
+            originalRcptTo: parseAddressField(getHeader(fields, 'original-rcpt-to')),
+            sourceIp: getHeader(fields, 'source-ip'),
+            arrivalDate: getHeader(fields, 'arrival-date') || getHeader(fields, 'received-date'),
+            messageId: getHeader(originalHeaders, 'message-id'),
+            originalHeaders,
+        };
+    }
+
+    /**
+     * Correlate a report with the campaign and recipient it refers to
+     * Attribution comes from VERP / List-Unsubscribe in the original headers, the recipient
+     * must have a sent delivery in that campaign; without attribution the most recent
+     * campaign sent to the recipient is used, and for redacted reports the original
+     * Message-ID is looked up in the delivery ledger
+     * @returns {Promise<{email: string|null, statsId: string|null, campaignId: string|null, inLedger: boolean}>}
+     */
+    async correlate(report) {
+        // Original-Mail-From is the envelope sender, i.e. our VERP address when enabled
+        const originalHeaders = {
+            ...report.originalHeaders,
+            'return-path': [report.originalMailFrom, ...(report.originalHeaders['return-path'] || [])].filter(Boolean),
+        };
+        const attribution = bounceService.attribute({}, originalHeaders);
+
+        // Feedback loops often redact the recipient; the signed token still identifies it
+        const candidates = [attribution.email, report.originalRcptTo].filter(Boolean);
+        const email = (attribution.recipientHash && candidates.find(candidate => verp.matchesRecipient(attribution, candidate)))
+            || candidates[0]
+            || null;
+
+        if (!email) {
+            const delivery = report.messageId ? await Delivery.findByMessageId(report.messageId) : null;
+            if (delivery) {
+                return {
+                    email: delivery.recipient,
+                    statsId: delivery.statsId ? String(delivery.statsId) : null,
+                    campaignId: delivery.campaignId ? String(delivery.campaignId) : null,
+                    inLedger: delivery.status === 'sent',
+                };
+            }
+            return { email: null, statsId: attribution.statsId, campaignId: attribution.campaignId, inLedger: false };
+        }
+
+        const filter = { recipient: email.trim().toLowerCase(), status: 'sent' };
+        if (attribution.statsId && mongoose.isValidObjectId(attribution.statsId)) {
+            filter.statsId = attribution.statsId;
+        }
+        const delivery = await Delivery.findOne(filter).sort({ createdAt: -1 }).select('statsId campaignId').lean();
+
+        return {
+            email,
+            statsId: delivery?.statsId ? String(delivery.statsId) : attribution.statsId,
+            campaignId: delivery?.campaignId ? String(delivery.campaignId) : attribution.campaignId,
+            inLedger: Boolean(delivery),
+        };
+    }
+
+    /**
+     * Process one raw inbound message
+     * @returns {Promise<{isReport: boolean, complaint: Object|null}>}
+     */
+    async processMessage(raw) {
+        const report = this.parseReport(raw);
+        if (!report) {
+            return { isReport: false, complaint: null };
+        }
+
+        // Only abuse/fraud reports are complaints; not-spam, virus and opt-out reports are informational
+        if (!['abuse', 'fraud'].includes(report.feedbackType)) {
+            logger.info({ feedbackType: report.feedbackType, messageId: report.messageId }, 'Ignoring non-complaint feedback report');
+            return { isReport: true, complaint: null };
+        }
+
+        const correlation = await this.correlate(report);
+        if (!correlation.email) {
+            logger.warn({ messageId: report.messageId, userAgent: report.userAgent }, 'Complaint could not be attributed to a recipient');
+            return { isReport: true, complaint: null };
+        }
+
+        const complaint = {
+            ...correlation,
+            feedbackType: report.feedbackType,
+            messageId: report.messageId,
+            userAgent: report.userAgent,
+        };
+
+        await this.recordComplaint(complaint);
+        return { isReport: true, complaint };
+    }
+
+    /**
+     * Suppress the complainer, count the complaint and pause the campaign over threshold
+     */
+    async recordComplaint(complaint) {
+        await suppressionService.suppress(complaint.email, 'complaint', {
+            source: complaint.userAgent ? `arf:${complaint.userAgent}`.substring(0, 200) : 'arf',
+            campaignId: complaint.campaignId,
+            statsId: complaint.statsId,
+            details: `${complaint.feedbackType} ${complaint.messageId}`.trim(),
+        });
+
+        logger.warn({
+            email: complaint.email,
+            statsId: complaint.statsId,
+            messageId: complaint.messageId,
+            inLedger: complaint.inLedger,
+        }, 'Spam complaint recorded');
+
+        // Unconfirmed reports suppress the address but don't count against a campaign
+        if (!complaint.statsId || !complaint.inLedger) {
+            return;
+        }
+
+        await Stats.updateOne(
+            { _id: complaint.statsId },
+            { $addToSet: { complaints: complaint.email } }
+        );
+
+        await this.checkThreshold(complaint.statsId);
+    }
+
+    /**
+     * Pause the campaign when its complaint rate crosses the threshold
+     * @returns {Promise<boolean>} true if the campaign was paused
+     */
+    async checkThreshold(statsId) {
+        const id = new mongoose.Types.ObjectId(String(statsId));
+        const [[stats], sent] = await Promise.all([
+            Stats.aggregate([
+                { $match: { _id: id } },
+                { $project: { campaignId: 1, complaints: { $size: { $ifNull: ['$complaints', []] } } } },
+            ]),
+            Delivery.countDocuments({ statsId: id, status: 'sent' }),
+        ]);
+
+        if (!stats || sent < this.pauseMinSent) {
+            return false;
+        }
+
+        const rate = stats.complaints / sent;
+        if (rate < this.pauseThreshold) {
+            return false;
+        }
+
+        // Lazy require: smtp.js loads the ingestion pipeline that requires this service
+        const smtpEmailService = require('./smtp');
+        const paused = await smtpEmailService.pause(
+            stats.campaignId,
+            `Complaint rate ${(rate * 100).toFixed(2)}% (${stats.complaints}/${sent}) over ${(this.pauseThreshold * 100).toFixed(2)}%`
+        );
+
+        if (paused) {
+            logger.warn({ statsId: String(statsId), campaignId: String(stats.campaignId), rate, complaints: stats.complaints, sent }, 'Campaign auto-paused on complaint rate');
+        }
+        return paused;
+    }
+}
+
+module.exports = new ComplaintService();
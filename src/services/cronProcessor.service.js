@@ -1,5 +1,7 @@
 const emailService = require('./email.service');
 const sqsService = require('./sqs.service');
+const deliveryService = require('./delivery.service');
+const retryScheduler = require('./retryScheduler.service');
 const metrics = require('./metrics.service');
 const rateLimiter = require('./rateLimiter.service');
 const logger = require('../config/logger');
@@ -35,6 +37,7 @@ class CronProcessorService {
 
         let totalProcessed = 0;
         let totalFailed = 0;
+        let totalDeferred = 0;
         let emptyPolls = 0;
         const maxEmptyPolls = 3; // Stop after 3 consecutive empty polls
 
@@ -82,13 +85,16 @@ class CronProcessorService {
                 const results = await this.processMessagesWithConcurrency(messages, lambdaDeadline);
 
                 const processed = results.filter(r => r.success).length;
-                const failed = results.filter(r => !r.success).length;
+                const deferred = results.filter(r => r.deferred).length;
+                const failed = results.filter(r => !r.success && !r.deferred).length;
 
                 totalProcessed += processed;
+                totalDeferred += deferred;
                 totalFailed += failed;
 
                 logger.info({
                     batchProcessed: processed,
+                    batchDeferred: deferred,
                     batchFailed: failed,
                     totalProcessed,
                     totalFailed,
@@ -113,6 +119,7 @@ class CronProcessorService {
         const summary = {
             totalProcessed,
             totalFailed,
+            totalDeferred,
             processingTimeSeconds: Math.floor((Date.now() - this.startTime) / 1000),
             stoppedReason: emptyPolls >= maxEmptyPolls ? 'queue_empty' : 'timeout',
         };
@@ -129,6 +136,9 @@ class CronProcessorService {
         const results = [];
         const chunks = [];
 
+        // Keep the whole batch invisible while earlier chunks are being sent
+        messages.forEach(message => sqsService.startHeartbeat(message.ReceiptHandle));
+
         // Split messages into chunks based on maxConcurrency
         for (let i = 0; i < messages.length; i += this.maxConcurrency) {
             chunks.push(messages.slice(i, i + this.maxConcurrency));
@@ -163,6 +173,9 @@ class CronProcessorService {
             });
         }
 
+        // Messages left unprocessed (timeout) become visible again after the visibility timeout
+        await Promise.all(messages.map(message => sqsService.stopHeartbeat(message.ReceiptHandle)));
+
         return results;
     }
 
@@ -192,6 +205,12 @@ class CronProcessorService {
                 metadata
             );
 
+            // Sending is over: stop extending visibility before deleting or deferring
+            await sqsService.stopHeartbeat(receiptHandle);
+
+            // Delivery ledger row for this recipient
+            await deliveryService.recordResult(parsedMessage, result, 'cron');
+
             if (result.success) {
                 // Delete message from SQS
                 await sqsService.deleteMessage(receiptHandle);
@@ -204,6 +223,22 @@ class CronProcessorService {
                 }, 'Email processed successfully');
 
                 return { success: true, messageId };
+            } else if (result.suppressed) {
+                // Suppressed recipient - nothing to retry, remove from queue
+                await sqsService.deleteMessage(receiptHandle);
+                metrics.increment('sqsMessagesProcessed');
+
+                logger.info({
+                    messageId,
+                    to,
+                    reason: result.reason,
+                }, 'Recipient suppressed, message removed');
+
+                return { success: true, suppressed: true, messageId };
+            } else if (result.deferred) {
+                // Deferred (e.g. quiet hours) - hide message until it may be sent
+                await retryScheduler.defer(parsedMessage, result);
+                return { success: false, deferred: true, messageId };
             } else {
                 // Handle failure
                 return await this.handleFailure(sqsMessage, parsedMessage, result);
@@ -215,13 +250,18 @@ class CronProcessorService {
                 stack: error.stack,
             }, 'Error processing message');
 
+            await sqsService.stopHeartbeat(sqsMessage.ReceiptHandle);
+
             metrics.increment('emailsFailed');
 
             // For transient failures, don't delete - let it retry via visibility timeout
             if (error.message?.includes('Transient failure')) {
+                await deliveryService.recordError(parsedMessage, error, 'cron', true);
                 return { success: false, error: error.message, isRetryable: true };
             }
 
+            await deliveryService.recordError(parsedMessage, error, 'cron');
+
             // Permanent failures: send to DLQ
             try {
                 await sqsService.sendToDLQ(
@@ -242,7 +282,7 @@ class CronProcessorService {
      * Handle message processing failure
      */
     async handleFailure(sqsMessage, parsedMessage, result) {
-        const { receiptHandle, messageId, to } = parsedMessage;
+        const { messageId, to } = parsedMessage;
 
         // Check if it's a permanent failure (hard fail)
         if (!result.isRetryable) {
@@ -253,28 +293,35 @@ class CronProcessorService {
             }, 'Permanent failure, sending to DLQ');
 
             try {
-                await sqsService.sendToDLQ(
-                    sqsMessage.Body || JSON.stringify(parsedMessage.body),
-                    sqsMessage.MessageAttributes || {}
-                );
-                metrics.increment('dlqMessages');
-                await sqsService.deleteMessage(receiptHandle);
+                await retryScheduler.deadLetter(parsedMessage, result, sqsMessage.Body || JSON.stringify(parsedMessage.body), sqsMessage.MessageAttributes || {});
             } catch (error) {
                 logger.error({ error: error.message }, 'Failed to send to DLQ');
             }
 
             return { success: false, permanent: true, error: result.error };
-        } else {
-            // Transient failure - don't delete message, let it retry via SQS visibility timeout
+        }
+
+        // Transient failure - hide the message for the backoff delay, DLQ after max receives
+        try {
+            const retry = await retryScheduler.scheduleRetry(parsedMessage, result, sqsMessage.Body || JSON.stringify(parsedMessage.body), sqsMessage.MessageAttributes || {});
+
+            if (retry.deadLettered) {
+                return { success: false, permanent: true, error: result.error };
+            }
+
             logger.warn({
                 messageId,
                 to,
                 attempt: result.attempt,
-                willRetry: true,
-            }, 'Transient failure, message will be retried by SQS');
-
-            return { success: false, isRetryable: true, error: result.error };
+                failures: retry.failureCount,
+                retryAfterSeconds: retry.retryAfterSeconds,
+            }, 'Transient failure, retry scheduled');
+        } catch (error) {
+            // Message becomes visible again after the visibility timeout
+            logger.error({ error: error.message, messageId }, 'Failed to schedule retry');
         }
+
+        return { success: false, isRetryable: true, error: result.error };
     }
 
     /**
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Delivery = require('../models/delivery.model');
+const idempotencyService = require('./idempotency.service');
+const logger = require('../config/logger');
+
+/**
+ * Delivery ledger writer
+ * The producer records each recipient as queued before it is enqueued (outbox row);
+ * processors record every sendEmail outcome against the same row
+ * Ledger writes never fail message processing: errors are logged
+ */
+class DeliveryService {
+    constructor() {
+        this.maxFailures = 20;
+    }
+
+    /**
+     * ObjectId from a metadata field, or null
+     */
+    toObjectId(value) {
+        return value && mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(String(value)) : null;
+    }
+
+    /**
+     * Ledger key of a message (same key as the idempotency store)
+     */
+    getKey(parsedMessage) {
+        const { to, subject, content, metadata } = parsedMessage;
+        return idempotencyService.getKey(to, subject, content, metadata);
+    }
+
+    /**
+     * Fields identifying a message, set when its row is created
+     */
+    buildIdentity(message) {
+        return {
+            campaignId: this.toObjectId(message.campaignId),
+            campaignSendId: this.toObjectId(message.campaignSendId),
+            statsId: this.toObjectId(message.statsId),
+            recipient: String(message.to || '').trim().toLowerCase(),
+        };
+    }
+
+    /**
+     * Record queued rows for producer messages before they are enqueued
+     * @param {Object[]} messages - SQS message bodies (with idempotencyKey)
+     */
+    async recordQueued(messages) {
+        const now = new Date();
+        const operations = messages
+            .filter(message => message.idempotencyKey && message.to)
+            .map(message => ({
+                updateOne: {
+                    filter: { key: message.idempotencyKey },
+                    update: { $setOnInsert: { ...this.buildIdentity(message), status: 'queued', queuedAt: now } },
+                    upsert: true,
+                },
+            }));
+
+        if (operations.length === 0) {
+            return;
+        }
+
+        try {
+            await Delivery.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            logger.error({ error: error.message, count: operations.length }, 'Failed to record queued deliveries');
+        }
+    }
+
+    /**
+     * Mark producer messages that could not be enqueued
+     * @param {Object[]} messages - SQS message bodies (with idempotencyKey)
+     */
+    async recordEnqueueFailed(messages, reason = 'Failed to enqueue') {
+        const keys = messages.map(message => message.idempotencyKey).filter(Boolean);
+        if (keys.length === 0) {
+            return;
+        }
+
+        try {
+            await Delivery.updateMany(
+                { key: { $in: keys }, status: 'queued' },
+                { $set: { status: 'failed', response: reason, completedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error({ error: error.message, count: keys.length }, 'Failed to record enqueue failures');
+        }
+    }
+
+    /**
+     * Build the ledger update for a sendEmail result
+     */
+    buildResultUpdate(result, now) {
+        const attempts = result.attempt || 0;
+
+        if (result.success && result.skipped) {
+            // Already sent by an earlier delivery of the same message
+            return { $setOnInsert: { status: 'sent' }, $set: { lastAttemptAt: now } };
+        }
+
+        if (result.success) {
+            return {
+                $set: {
+                    status: 'sent',
+                    messageId: result.messageId || '',
+                    transporter: result.transporter || '',
+                    response: result.response || '',
+                    responseCode: null,
+                    nextAttemptAt: null,
+                    lastAttemptAt: now,
+                    sentAt: now,
+                    completedAt: now,
+                },
+                $inc: { attempts },
+            };
+        }
+
+        if (result.suppressed) {
+            return { $set: { status: 'suppressed', response: result.reason || '', lastAttemptAt: now, completedAt: now } };
+        }
+
+        if (result.deferred) {
+            return {
+                $set: {
+                    status: 'deferred',
+                    response: result.reason || '',
+                    lastAttemptAt: now,
+                    nextAttemptAt: new Date(now.getTime() + (result.retryAfterSeconds || 0) * 1000),
+                },
+            };
+        }
+
+        const failure = {
+            at: now,
+            attempt: attempts,
+            responseCode: result.responseCode || null,
+            enhancedStatus: result.verdict?.enhancedStatus || '',
+            category: result.verdict?.category || '',
+            response: String(result.error || '').substring(0, 1000),
+        };
+
+        return {
+            $set: {
+                status: result.isRetryable ? 'retrying' : 'failed',
+                transporter: result.transporter || '',
+                responseCode: failure.responseCode,
+                response: failure.response,
+                lastAttemptAt: now,
+                nextAttemptAt: result.isRetryable && result.retryAfterSeconds
+                    ? new Date(now.getTime() + result.retryAfterSeconds * 1000)
+                    : null,
+                completedAt: result.isRetryable ? null : now,
+            },
+            $inc: { attempts },
+            $push: { failures: { $each: [failure], $slice: -this.maxFailures } },
+        };
+    }
+
+    /**
+     * Record the outcome of sendEmail for a processed message
+     * A sent row stays sent: redeliveries of a sent message (deferred, suppressed or failed before
+     * reaching the idempotency check) don't overwrite it
+     * @param {Object} parsedMessage - Parsed SQS message (to, subject, content, messageId, metadata)
+     * @param {Object} result - sendEmail result
+     * @param {string} processor - workerPool | cron | lambda
+     */
+    async recordResult(parsedMessage, result, processor) {
+        const now = new Date();
+        const update = this.buildResultUpdate(result, now);
+
+        update.$set = { ...update.$set, processor, sqsMessageId: parsedMessage.messageId || '' };
+        update.$setOnInsert = {
+            ...update.$setOnInsert,
+            ...this.buildIdentity({ ...parsedMessage.metadata, to: parsedMessage.to }),
+            queuedAt: now,
+        };
+
+        const filter = { key: this.getKey(parsedMessage) };
+        if (!result.success) {
+            filter.status = { $ne: 'sent' };
+        }
+
+        try {
+            await Delivery.updateOne(filter, update, { upsert: true });
+        } catch (error) {
+            // The upsert collides with the existing sent row
+            if (error.code === 11000 && !result.success) {
+                logger.debug({ messageId: parsedMessage.messageId, to: parsedMessage.to }, 'Delivery already sent, keeping sent status');
+                return;
+            }
+            logger.error({ error: error.message, messageId: parsedMessage.messageId, to: parsedMessage.to }, 'Failed to record delivery');
+        }
+    }
+
+    /**
+     * Record when SQS will deliver a soft-failed message again
+     */
+    async recordRetryScheduled(parsedMessage, retryAfterSeconds) {
+        try {
+            await Delivery.updateOne(
+                { key: this.getKey(parsedMessage), status: { $ne: 'sent' } },
+                { $set: { nextAttemptAt: new Date(Date.now() + retryAfterSeconds * 1000) } }
+            );
+        } catch (error) {
+            logger.error({ error: error.message, messageId: parsedMessage.messageId }, 'Failed to record retry schedule');
+        }
+    }
+
+    /**
+     * Record a message moved to the DLQ
+     */
+    async recordDeadLettered(parsedMessage, reason) {
+        const now = new Date();
+        try {
+            await Delivery.updateOne(
+                { key: this.getKey(parsedMessage), status: { $ne: 'sent' } },
+                { $set: { status: 'failed', deadLetteredAt: now, deadLetterReason: reason, nextAttemptAt: null, completedAt: now } }
+            );
+        } catch (error) {
+            logger.error({ error: error.message, messageId: parsedMessage.messageId }, 'Failed to record dead-lettered delivery');
+        }
+    }
+
+    /**
+     * Recorded failures of a message, oldest first (empty if unavailable)
+     */
+    async getFailures(parsedMessage) {
+        try {
+            const delivery = await Delivery.findOne({ key: this.getKey(parsedMessage) }).select('failures').lean();
+            return delivery?.failures || [];
+        } catch (error) {
+            logger.error({ error: error.message, messageId: parsedMessage.messageId }, 'Failed to load delivery failures');
+            return [];
+        }
+    }
+
+    /**
+     * Record a message that failed outside sendEmail (parse or processing error)
+     */
+    async recordError(parsedMessage, error, processor, isRetryable = false) {
+        if (!parsedMessage?.to) {
+            return;
+        }
+        await this.recordResult(parsedMessage, { success: false, error: error.message, isRetryable }, processor);
+    }
+}
+
+module.exports = new DeliveryService();
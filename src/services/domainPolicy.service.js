@@ -0,0 +1,295 @@
+const fs = require('fs');
+const Joi = require('joi');
+const DomainPolicy = require('../models/domainPolicy.model');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+const windowNames = ['perSecond', 'perMinute', 'perHour', 'perDay'];
+
+const windowKeys = {
+    perSecond: Joi.number().positive(),
+    perMinute: Joi.number().positive(),
+    perHour: Joi.number().positive(),
+    perDay: Joi.number().positive(),
+    burst: Joi.number().integer().min(1),
+};
+
+const entryKeys = {
+    ...windowKeys,
+    cooldownSeconds: Joi.number().integer().min(0).description('Domain cooldown after rate limit or reputation responses (overrides the classifier suggestion)'),
+    maxConnections: Joi.number().integer().min(1).description('Max concurrent sends per process'),
+};
+
+// Built-in policy, used for the sections a source leaves out
+// Groups named after a provider (google, microsoft, yahoo) apply to every domain whose MX is that provider
+const builtinPolicy = {
+    global: { perSecond: 35, burst: 10 }, // ~35 emails/sec = 2100/min
+    default: { perMinute: 30, burst: 5 }, // Default limit (more conservative)
+    groups: {
+        // Conservative limits to avoid blocks, especially for Gmail
+        google: { perMinute: 15, burst: 3 }, // Conservative: Gmail allows ~20/min but safer at 15
+        microsoft: { perMinute: 20, burst: 4 },
+        yahoo: { perMinute: 25, burst: 5 },
+    },
+    domains: {},
+};
+
+const policySchema = Joi.object()
+    .keys({
+        global: Joi.object().keys(windowKeys).or(...windowNames).default(builtinPolicy.global),
+        default: Joi.object().keys(entryKeys).or(...windowNames).default(builtinPolicy.default),
+        groups: Joi.object()
+            .pattern(Joi.string(), Joi.object().keys({
+                ...entryKeys,
+                domains: Joi.array().items(Joi.string().lowercase().trim()).default([]),
+                enabled: Joi.boolean().default(true).description('false removes the group (e.g. a built-in provider group)'),
+            }))
+            .default({}),
+        domains: Joi.object().pattern(Joi.string(), Joi.object().keys(entryKeys)).default({}),
+    });
+
+/**
+ * Lowercase the group and domain names of a validated policy
+ */
+const normalizeNames = (entries) => Object.fromEntries(
+    Object.entries(entries).map(([name, entry]) => [name.trim().toLowerCase(), entry])
+);
+
+/**
+ * Per-domain and per-group sending policy: rate limits, cooldown durations and max connections
+ * Loaded from DOMAIN_POLICY_SOURCE (builtin, a JSON file or the DomainPolicy collection), validated with Joi
+ * and reloaded periodically (standalone) or on every invocation (Lambda); an invalid policy keeps the previous one
+ */
+class DomainPolicyService {
+    constructor() {
+        this.source = config.domainPolicy?.source || 'builtin';
+        this.filePath = config.domainPolicy?.file;
+        this.fileMtimeMs = null;
+        this.interval = null;
+        this.stats = { loadedAt: null, reloads: 0, failures: 0, lastError: null };
+
+        this.apply(this.validate(builtinPolicy));
+    }
+
+    /**
+     * Validate a policy document
+     * Configured groups are laid over the built-in provider groups: an entry replaces the built-in group
+     * of the same name, enabled: false removes it
+     * @throws {Error} Policy validation error
+     */
+    validate(policy) {
+        const { value, error } = policySchema.prefs({ errors: { label: 'path' } }).validate(policy);
+        if (error) {
+            throw new Error(`Domain policy validation error: ${error.message}`);
+        }
+
+        const groups = Object.entries({ ...builtinPolicy.groups, ...normalizeNames(value.groups) })
+            .filter(([, group]) => group.enabled !== false)
+            .map(([name, { enabled, ...group }]) => [name, { domains: [], ...group }]);
+
+        return { ...value, groups: Object.fromEntries(groups), domains: normalizeNames(value.domains) };
+    }
+
+    /**
+     * Make a validated policy the current one
+     */
+    apply(policy) {
+        const groupByDomain = new Map();
+        for (const [name, group] of Object.entries(policy.groups)) {
+            group.domains.forEach(domain => groupByDomain.set(domain, name));
+        }
+
+        this.policy = policy;
+        this.groupByDomain = groupByDomain;
+        this.resolved = new Map();
+    }
+
+    /**
+     * Validate and apply a policy document (e.g. from tests or an admin task)
+     */
+    setPolicy(policy) {
+        this.apply(this.validate(policy));
+    }
+
+    /**
+     * Read the policy document from the JSON file, or null if it hasn't changed since the last load
+     */
+    async readFile() {
+        if (!this.filePath) {
+            throw new Error('DOMAIN_POLICY_FILE is not set');
+        }
+
+        const { mtimeMs } = await fs.promises.stat(this.filePath);
+        if (mtimeMs === this.fileMtimeMs) {
+            return null;
+        }
+
+        const policy = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        this.fileMtimeMs = mtimeMs;
+        return policy;
+    }
+
+    /**
+     * Build the policy document from the enabled DomainPolicy entries
+     * A disabled group entry removes the group, e.g. a built-in provider group
+     */
+    async readMongo() {
+        const entries = await DomainPolicy.find({ $or: [{ enabled: true }, { type: 'group' }] }).lean();
+        const policy = { groups: {}, domains: {} };
+
+        for (const entry of entries) {
+            if (entry.type === 'group' && entry.enabled === false) {
+                policy.groups[entry.name] = { enabled: false };
+                continue;
+            }
+
+            const fields = {};
+            [...Object.keys(entryKeys), 'domains'].forEach((key) => {
+                if (entry[key] !== undefined && entry[key] !== null) {
+                    fields[key] = entry[key];
+                }
+            });
+
+            if (entry.type === 'global') {
+                delete fields.cooldownSeconds;
+                delete fields.maxConnections;
+                delete fields.domains;
+                policy.global = fields;
+            } else if (entry.type === 'default') {
+                delete fields.domains;
+                policy.default = fields;
+            } else if (entry.type === 'group') {
+                policy.groups[entry.name] = fields;
+            } else {
+                delete fields.domains;
+                policy.domains[entry.name] = fields;
+            }
+        }
+
+        return policy;
+    }
+
+    /**
+     * Reload the policy from its source
+     * @returns {Promise<boolean>} true if a new policy was applied
+     */
+    async reload() {
+        if (this.source === 'builtin') {
+            return false;
+        }
+
+        try {
+            const policy = this.source === 'file' ? await this.readFile() : await this.readMongo();
+            if (!policy) {
+                return false;
+            }
+
+            const next = this.validate(policy);
+            if (JSON.stringify(next) === JSON.stringify(this.policy)) {
+                return false;
+            }
+
+            this.apply(next);
+            this.stats.reloads++;
+            this.stats.loadedAt = new Date();
+            this.stats.lastError = null;
+
+            logger.info({
+                source: this.source,
+                groups: Object.keys(this.policy.groups).length,
+                domains: Object.keys(this.policy.domains).length,
+            }, 'Domain policy loaded');
+            return true;
+        } catch (error) {
+            // Keep sending with the last valid policy
+            this.stats.failures++;
+            this.stats.lastError = error.message;
+            logger.error({ source: this.source, error: error.message }, 'Failed to load domain policy, keeping current policy');
+            return false;
+        }
+    }
+
+    /**
+     * Policy for a recipient domain: its own entry, else the group listing it, else the group of its
+     * mailbox provider, else the default
+     * Unset fields are inherited from the group, then the default
+     * @param {string} domain - Recipient domain
+     * @param {string} [provider] - Provider group from the MX resolver (google, microsoft, yahoo, other)
+     * @returns {{key: string, name: string, type: string, provider: string|null, limits: Object, cooldownSeconds?: number, maxConnections?: number}}
+     */
+    resolve(domain, provider = null) {
+        const cacheKey = `${provider || ''}:${domain}`;
+        const cached = this.resolved.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const groupName = this.groupByDomain.get(domain) || (this.policy.groups[provider] ? provider : null);
+        const group = groupName ? this.policy.groups[groupName] : null;
+        const own = this.policy.domains[domain];
+
+        let key = `domain:${domain}`;
+        let name = domain;
+        let type = 'default';
+        if (own) {
+            type = 'domain';
+        } else if (group) {
+            key = `group:${groupName}`;
+            name = groupName;
+            type = 'group';
+        }
+
+        const { domains, ...merged } = { ...this.policy.default, ...(group || {}), ...(own || {}) };
+        const { cooldownSeconds, maxConnections, ...limits } = merged;
+        const resolved = { key, name, type, provider, limits, cooldownSeconds, maxConnections };
+
+        if (this.resolved.size >= 50000) {
+            this.resolved.clear();
+        }
+        this.resolved.set(cacheKey, resolved);
+        return resolved;
+    }
+
+    /**
+     * Limits across all domains
+     */
+    getGlobalLimits() {
+        return this.policy.global;
+    }
+
+    /**
+     * Start periodic reloading (standalone mode)
+     */
+    start(intervalSeconds = 60) {
+        if (this.interval || this.source === 'builtin') {
+            return;
+        }
+
+        this.interval = setInterval(() => this.reload(), intervalSeconds * 1000);
+        logger.info({ source: this.source, intervalSeconds }, 'Domain policy reloading started');
+    }
+
+    /**
+     * Stop periodic reloading
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Get policy statistics
+     */
+    getStats() {
+        return {
+            source: this.source,
+            groups: Object.keys(this.policy.groups).length,
+            domains: Object.keys(this.policy.domains).length,
+            ...this.stats,
+        };
+    }
+}
+
+module.exports = new DomainPolicyService();
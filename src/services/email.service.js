@@ -3,6 +3,18 @@ const config = require('../config/config');
 const logger = require('../config/logger');
 const rateLimiter = require('./rateLimiter.service');
 const metrics = require('./metrics.service');
+const templateService = require('./template.service');
+const quietHours = require('./quietHours.service');
+const suppressionService = require('./suppression.service');
+const unsubscribeService = require('./unsubscribe.service');
+const trackingService = require('./tracking.service');
+const forwardService = require('./forward.service');
+const campaignPause = require('./campaignPause.service');
+const bounceService = require('./bounce.service');
+const idempotencyService = require('./idempotency.service');
+const { buildSigningOptions, selfCheck } = require('../utils/dkim');
+const verp = require('../utils/verp');
+const smtpClassifier = require('../utils/smtpClassifier');
 const crypto = require('crypto');
 
 /**
@@ -19,10 +31,6 @@ class EmailService {
         this.maxRetries = 3;
         this.initialRetryDelay = 1000; // 1 second
         this.maxRetryDelay = 60000; // 60 seconds
-
-        // Processed message IDs for idempotency
-        this.processedMessages = new Map();
-        this.idempotencyWindow = 24 * 60 * 60 * 1000; // 24 hours
     }
 
     /**
@@ -35,6 +43,16 @@ class EmailService {
         // Support for multiple sending domains/IPs (if configured)
         const additionalDomains = config.smtp.additionalDomains || [];
         additionalDomains.forEach((domainConfig, index) => {
+            // Every transporter sends as SMTP_FROM, so DMARC alignment needs d= to be the From domain:
+            // extra transporters sign as that domain, with their own selector/keys or the default ones
+            if (domainConfig.dkim?.domain && domainConfig.dkim.domain !== config.smtp.dkim.domain) {
+                logger.warn({
+                    transporter: domainConfig.domain || `domain-${index}`,
+                    dkimDomain: domainConfig.dkim.domain,
+                    signingDomain: config.smtp.dkim.domain,
+                }, 'Ignoring DKIM domain of additional transporter, signing as the From domain');
+            }
+            const dkim = buildSigningOptions(config.smtp.dkim.domain, domainConfig.dkim || config.smtp.dkim);
             const transporter = nodemailer.createTransport({
                 host: domainConfig.host || config.smtp.host,
                 port: domainConfig.port || config.smtp.port,
@@ -47,54 +65,38 @@ class EmailService {
                 maxConnections: domainConfig.maxConnections || config.smtp.maxConnections || 20,
                 connectionTimeout: 15000,
                 greetingTimeout: 10000,
+                ...(dkim ? { dkim } : {}),
             });
 
             this.transporters.set(domainConfig.domain || `domain-${index}`, transporter);
         });
-    }
 
-    /**
-     * Generate message ID for idempotency
-     */
-    generateMessageId(to, subject, content) {
-        const hash = crypto
-            .createHash('sha256')
-            .update(`${to}:${subject}:${content.substring(0, 100)}`)
-            .digest('hex');
-        return hash;
+        // Sign and verify a sample message with every configured key (non-blocking)
+        this.checkDkim();
     }
 
     /**
-     * Check if message was already processed (idempotency)
+     * DKIM startup self-check for all transporters
      */
-    isAlreadyProcessed(messageId) {
-        if (this.processedMessages.has(messageId)) {
-            const processedAt = this.processedMessages.get(messageId);
-            const age = Date.now() - processedAt;
-            if (age < this.idempotencyWindow) {
-                return true;
+    async checkDkim() {
+        const transporters = [['default', this.defaultTransporter], ...this.transporters.entries()];
+
+        for (const [name, transporter] of transporters) {
+            const dkimOptions = transporter.options?.dkim;
+            if (!dkimOptions) {
+                logger.warn({ transporter: name }, 'DKIM signing not configured');
+                continue;
             }
-            // Remove old entry
-            this.processedMessages.delete(messageId);
-        }
-        return false;
-    }
-
-    /**
-     * Mark message as processed
-     */
-    markAsProcessed(messageId) {
-        this.processedMessages.set(messageId, Date.now());
-    }
 
-    /**
-     * Cleanup old processed message IDs
-     */
-    cleanupProcessedMessages() {
-        const now = Date.now();
-        for (const [messageId, processedAt] of this.processedMessages.entries()) {
-            if (now - processedAt > this.idempotencyWindow) {
-                this.processedMessages.delete(messageId);
+            try {
+                const { ok, results } = await selfCheck(dkimOptions, config.smtp.from);
+                if (ok) {
+                    logger.info({ transporter: name, selectors: results.map(r => `${r.selector}._domainkey.${r.domain}`) }, 'DKIM self-check passed');
+                } else {
+                    logger.error({ transporter: name, results }, 'DKIM self-check failed');
+                }
+            } catch (error) {
+                logger.error({ transporter: name, error: error.message }, 'DKIM self-check failed');
             }
         }
     }
@@ -124,6 +126,18 @@ class EmailService {
         return this.defaultTransporter;
     }
 
+    /**
+     * Name of a transporter (sending domain, or 'default')
+     */
+    getTransporterName(transporter) {
+        for (const [name, candidate] of this.transporters.entries()) {
+            if (candidate === transporter) {
+                return name;
+            }
+        }
+        return 'default';
+    }
+
     /**
      * Generate RFC-compliant Message-ID for Gmail deliverability
      */
@@ -138,9 +152,8 @@ class EmailService {
     /**
      * Add proper email headers optimized for Gmail bulk sending
      */
-    randomizeHeaders(baseHeaders = {}, to) {
+    randomizeHeaders(baseHeaders = {}, to, metadata = {}) {
         const fromEmail = config.smtp.from;
-        const fromDomain = fromEmail.split('@')[1] || 'example.com';
 
         // Generate RFC-compliant Message-ID (critical for Gmail)
         const messageId = this.generateRFCCompliantMessageId(fromEmail);
@@ -163,16 +176,14 @@ class EmailService {
             // Avoid spam triggers - don't use suspicious headers
             // 'X-Priority' and 'X-MSMail-Priority' can trigger spam filters, use sparingly
 
-            // List-Unsubscribe header (recommended for bulk emails)
-            ...(config.smtp.listUnsubscribe ? {
-                'List-Unsubscribe': config.smtp.listUnsubscribe,
-                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
-            } : {}),
+            // Per-recipient signed List-Unsubscribe (RFC 8058 one-click requires a unique URL)
+            ...(to ? unsubscribeService.buildHeaders(to, metadata) : {}),
         };
 
-        // Add Return-Path if configured (for bounce handling)
-        if (config.smtp.returnPath) {
-            headers['Return-Path'] = config.smtp.returnPath;
+        // Add Return-Path if configured (for bounce handling), per recipient in VERP mode
+        const returnPath = this.buildVerpAddress(to, metadata) || config.smtp.returnPath;
+        if (returnPath) {
+            headers['Return-Path'] = returnPath;
         }
 
         // Add Reply-To if configured
@@ -193,28 +204,55 @@ class EmailService {
         return headers;
     }
 
+    /**
+     * VERP return path (SMTP_VERP) so bounces map back to campaign and recipient
+     * @returns {string|null} null when VERP is disabled or the message has no stats
+     */
+    buildVerpAddress(to, metadata = {}) {
+        if (!config.smtp.verp || !to || !metadata.statsId) {
+            return null;
+        }
+        return verp.encode(config.smtp.returnPath || config.smtp.from, metadata.statsId, to, config.security.secretKey);
+    }
+
+    /**
+     * Format From address with optional display name (campaign fromName)
+     */
+    formatFromAddress(fromName) {
+        const name = typeof fromName === 'string' ? fromName.replace(/["\r\n]/g, '').trim() : '';
+        return name ? `"${name}" <${config.smtp.from}>` : config.smtp.from;
+    }
+
     /**
      * Prepare email options optimized for Gmail bulk sending
      * Includes proper headers, DKIM/SPF alignment, and deliverability best practices
      */
-    prepareEmailOptions(to, subject, content, contentType = 'html') {
+    prepareEmailOptions(to, subject, content, contentType = 'html', metadata = {}) {
         const recipientDomain = this.extractDomain(to);
         const transporter = this.selectTransporter(recipientDomain);
 
+        const from = this.formatFromAddress(metadata.fromName);
+
+        // Per-recipient open tracking pixel (opt-out per campaign)
+        if (contentType === 'html' && trackingService.isOpenTrackingEnabled(metadata)) {
+            content = trackingService.injectOpenPixel(content, to, metadata.statsId);
+        }
+
         // Base email structure
         const baseOptions = {
-            from: config.smtp.from,
+            from,
             to,
             subject,
             // Ensure both text and HTML for better deliverability
             ...(contentType === 'html'
-                ? { html: content, text: this.extractTextFromHTML(content) }
+                ? { html: content, text: metadata.text || this.extractTextFromHTML(content) }
                 : { text: content }
             ),
         };
 
         // Add optimized headers for Gmail
-        baseOptions.headers = this.randomizeHeaders({}, to);
+        baseOptions.headers = this.randomizeHeaders({}, to, metadata);
+        baseOptions.headers['From'] = from;
 
         // Add delay randomization (more jitter for bulk sending)
         // Larger jitter for Gmail to mimic natural sending patterns
@@ -226,7 +264,7 @@ class EmailService {
         // Add envelope for proper routing (optional but recommended)
         if (config.smtp.envelope) {
             baseOptions.envelope = {
-                from: config.smtp.from,
+                from: this.buildVerpAddress(to, metadata) || config.smtp.from,
                 to: to,
             };
         }
@@ -264,71 +302,166 @@ class EmailService {
     }
 
     /**
-     * Determine if error is retryable (soft fail) or permanent (hard fail)
+     * Classify an SMTP failure (RFC 3463 enhanced codes and Gmail/Outlook/Yahoo responses)
+     * The verdict drives retries, suppression and domain cooldowns
+     * @param {string} [provider] - MX provider group of the recipient domain
      */
-    isRetryableError(error) {
-        if (!error) return false;
-
-        const errorMessage = error.message?.toLowerCase() || '';
-        const errorCode = error.code?.toLowerCase() || '';
+    classifyError(error, provider = null) {
+        return smtpClassifier.classify(error, provider);
+    }
 
-        // Network/timeout errors - retryable
-        if (errorCode === 'etimedout' || errorCode === 'econnreset' || errorCode === 'enotfound') {
-            return true;
+    /**
+     * Record a synchronous permanent rejection of a bad address as a hard bounce
+     */
+    async recordRejection(to, verdict, error, metadata = {}) {
+        try {
+            await bounceService.recordBounce({
+                email: to.trim().toLowerCase(),
+                type: 'hard',
+                source: 'smtp',
+                status: verdict.enhancedStatus || String(verdict.responseCode || ''),
+                diagnosticCode: error.response || error.message || '',
+                statsId: metadata.statsId || null,
+                campaignId: metadata.campaignId || null,
+            });
+        } catch (recordError) {
+            logger.error({ to, error: recordError.message }, 'Failed to record rejected recipient');
         }
+    }
 
-        // SMTP 4xx errors - mostly retryable (transient)
-        if (error.responseCode >= 400 && error.responseCode < 500) {
-            // Gmail-specific rate limiting (421 Service temporarily unavailable)
-            if (error.responseCode === 421 || errorMessage.includes('rate limit') || errorMessage.includes('too many')) {
-                return true;
-            }
-            // Gmail temporary blocks (450 - greylisting, temporary block)
-            if (error.responseCode === 450 || errorMessage.includes('temporarily deferred')) {
-                return true;
+    /**
+     * Send email with retry logic
+     */
+    async sendEmail(to, subject, content, contentType = 'html', metadata = {}) {
+        // Render per-recipient template and merge variables
+        if (templateService.requiresRendering(metadata)) {
+            try {
+                const rendered = await templateService.renderForRecipient(to, subject, content, {
+                    ...metadata,
+                    variables: {
+                        unsubscribe_url: unsubscribeService.buildUrl(to, metadata),
+                        ...(forwardService.isForwardable(metadata)
+                            ? { forward_url: forwardService.buildUrl(to, metadata) }
+                            : {}),
+                        ...metadata.variables,
+                    },
+                }, contentType);
+                subject = rendered.subject;
+                content = rendered.content;
+                contentType = rendered.contentType;
+                metadata = { ...metadata, text: rendered.text };
+            } catch (error) {
+                logger.error({
+                    to,
+                    templateId: metadata.templateId,
+                    error: error.message,
+                }, 'Email template rendering failed');
+
+                return {
+                    success: false,
+                    error: error.message,
+                    isRetryable: !error.permanent,
+                    attempt: 0,
+                };
             }
-            // Mailbox temporarily full (452)
-            if (error.responseCode === 451 || error.responseCode === 452) {
-                return true; // Greylisting or mailbox full - retryable
+        }
+
+        const messageId = idempotencyService.getKey(to, subject, content, metadata);
+        const recipientDomain = this.extractDomain(to);
+
+        // Never send to suppressed addresses (unsubscribes, hard bounces, complaints, manual blocks)
+        try {
+            const suppression = await suppressionService.check(to);
+            if (suppression.suppressed) {
+                metrics.increment('emailsSuppressed');
+                logger.info({ messageId, to, reason: suppression.reason }, 'Recipient is suppressed, skipping email');
+                return { success: false, suppressed: true, reason: suppression.reason };
             }
-            // Gmail quota exceeded (temporary)
-            if (errorMessage.includes('quota') || errorMessage.includes('exceeded')) {
-                return true;
+        } catch (error) {
+            // Fail closed: retry later rather than risk mailing a suppressed address
+            logger.error({ messageId, to, error: error.message }, 'Suppression lookup failed');
+            return { success: false, error: error.message, isRetryable: true, attempt: 0 };
+        }
+
+        // Hold messages of paused campaigns (e.g. auto-paused on complaints) until resumed
+        try {
+            if (await campaignPause.isPaused(metadata.campaignId)) {
+                metrics.increment('emailsDeferred');
+                logger.info({ messageId, to, campaignId: metadata.campaignId }, 'Campaign is paused, deferring email');
+                return { success: false, deferred: true, reason: 'campaign_paused', retryAfterSeconds: campaignPause.deferSeconds };
             }
+        } catch (error) {
+            logger.error({ messageId, to, error: error.message }, 'Campaign pause lookup failed');
+            return { success: false, error: error.message, isRetryable: true, attempt: 0 };
         }
 
-        // SMTP 5xx errors - retryable (server errors)
-        if (error.responseCode >= 500 && error.responseCode < 600) {
-            return true;
+        // Defer messages that fall inside the recipient's quiet hours
+        const deferSeconds = quietHours.getDeferralSeconds(metadata);
+        if (deferSeconds > 0) {
+            metrics.increment('emailsDeferred');
+            logger.info({ messageId, to, timezone: metadata.timezone, deferSeconds }, 'Recipient in quiet hours, deferring email');
+            return { success: false, deferred: true, reason: 'quiet_hours', retryAfterSeconds: deferSeconds };
         }
 
-        // Permanent failures
-        if (error.responseCode === 550 || error.responseCode === 551 || error.responseCode === 552) {
-            return false; // Mailbox doesn't exist or message too large
+        // Rewrite links into tracked redirects (opt-out per campaign)
+        if (contentType === 'html' && trackingService.isClickTrackingEnabled(metadata)) {
+            try {
+                content = await trackingService.rewriteLinks(content, to, metadata.statsId);
+            } catch (error) {
+                logger.error({ messageId, to, error: error.message }, 'Click tracking link rewriting failed');
+                return { success: false, error: error.message, isRetryable: true, attempt: 0 };
+            }
         }
 
-        // Default: retry transient errors
-        return true;
-    }
+        // Claim the idempotency key: skip if already sent, back off if another worker is sending it
+        let claim;
+        try {
+            claim = await idempotencyService.claim(messageId);
+        } catch (error) {
+            // Fail closed: without the claim a redelivery could be sent twice
+            logger.error({ messageId, to, error: error.message }, 'Idempotency claim failed');
+            return { success: false, error: error.message, isRetryable: true, attempt: 0 };
+        }
 
-    /**
-     * Send email with retry logic
-     */
-    async sendEmail(to, subject, content, contentType = 'html', metadata = {}) {
-        const messageId = this.generateMessageId(to, subject, content);
-        const recipientDomain = this.extractDomain(to);
+        if (!claim.claimed) {
+            if (claim.status === 'committed') {
+                logger.info({ messageId, to }, 'Email already processed, skipping');
+                return { success: true, skipped: true, reason: 'idempotency' };
+            }
+            logger.info({ messageId, to, retryAfterSeconds: claim.retryAfterSeconds }, 'Email is being sent by another worker, deferring');
+            return { success: false, deferred: true, reason: 'in_progress', retryAfterSeconds: claim.retryAfterSeconds };
+        }
 
-        // Check idempotency
-        if (this.isAlreadyProcessed(messageId)) {
-            logger.info({ messageId, to }, 'Email already processed, skipping');
-            return { success: true, skipped: true, reason: 'idempotency' };
+        let result;
+        try {
+            result = await this.deliver(to, subject, content, contentType, metadata, messageId, recipientDomain);
+        } finally {
+            // Release on failure and when deliver throws, so a redelivery isn't deferred until the lease expires
+            try {
+                if (result?.success) {
+                    await idempotencyService.commit(messageId, claim.owner, { messageId: result.messageId });
+                } else {
+                    await idempotencyService.release(messageId, claim.owner);
+                }
+            } catch (error) {
+                // A stale claim expires with its lease; a lost commit may let a redelivery send again
+                logger.error({ messageId, to, sent: Boolean(result?.success), error: error.message }, 'Failed to update idempotency record');
+            }
         }
 
-        // Apply rate limiting
-        await rateLimiter.waitIfNeeded(to);
+        return result;
+    }
 
+    /**
+     * Send a claimed message with retries
+     */
+    async deliver(to, subject, content, contentType, metadata, messageId, recipientDomain) {
         // Prepare email options
-        const { options, transporter, delay } = this.prepareEmailOptions(to, subject, content, contentType);
+        const { options, transporter, delay } = this.prepareEmailOptions(to, subject, content, contentType, metadata);
+        const transporterName = this.getTransporterName(transporter);
+
+        // Metrics and cooldowns are kept per policy (the provider group for Google, Microsoft and Yahoo hosted domains)
+        const policy = await rateLimiter.getPolicy(recipientDomain);
 
         // Apply small random delay
         if (delay > 0) {
@@ -341,18 +474,24 @@ class EmailService {
         while (attempt < this.maxRetries) {
             attempt++;
 
+            // Reserve a rate limit slot for this attempt; long waits go back to the queue instead of holding a worker
+            const slot = await rateLimiter.waitIfNeeded(to, this.maxRetryDelay);
+            if (!slot.allowed) {
+                const retryAfterSeconds = Math.ceil(slot.retryAfterMs / 1000);
+                metrics.increment('emailsDeferred');
+                logger.info({ messageId, to, attempt, retryAfterSeconds }, 'Recipient domain rate limited, deferring email');
+                return { success: false, deferred: true, reason: 'rate_limited', retryAfterSeconds };
+            }
+
             try {
                 // Send email
                 const info = await transporter.sendMail(options);
 
-                // Mark as processed
-                this.markAsProcessed(messageId);
-
                 // Record success
-                rateLimiter.recordSend(recipientDomain);
+                rateLimiter.recordSuccess(policy);
                 metrics.increment('emailsSent');
                 metrics.recordEvent('emailsSent');
-                metrics.recordDomainMetric(recipientDomain, true);
+                metrics.recordDomainMetric(policy.name, true);
 
                 logger.info({
                     messageId,
@@ -367,15 +506,20 @@ class EmailService {
                     success: true,
                     messageId: info.messageId,
                     response: info.response,
+                    transporter: transporterName,
                     attempt,
                 };
             } catch (error) {
                 lastError = error;
-                const isRetryable = this.isRetryableError(error);
+                const verdict = this.classifyError(error, policy.provider);
+                const isRetryable = verdict.retryable;
 
                 metrics.increment('smtpErrors');
                 metrics.recordEvent('errors');
-                metrics.recordDomainMetric(recipientDomain, false, isRetryable ? 'soft' : 'hard');
+                metrics.recordDomainMetric(policy.name, false, isRetryable ? 'soft' : 'hard');
+
+                // Deferrals (421, 4.7.x) and connection reset spikes slow the whole policy down
+                rateLimiter.recordFailure(policy, error, verdict);
 
                 logger.error({
                     messageId,
@@ -383,11 +527,24 @@ class EmailService {
                     attempt,
                     error: error.message,
                     responseCode: error.responseCode,
+                    enhancedStatus: verdict.enhancedStatus,
+                    category: verdict.category,
+                    rule: verdict.rule,
                     isRetryable,
                 }, 'Email send failed');
 
-                // If not retryable or max retries reached, fail
-                if (!isRetryable || attempt >= this.maxRetries) {
+                // Rate limit and reputation responses cool down the whole recipient domain (policy duration if set)
+                if (verdict.cooldownSeconds > 0) {
+                    const cooldownSeconds = policy.cooldownSeconds || verdict.cooldownSeconds;
+                    rateLimiter.setDomainCooldown(recipientDomain, cooldownSeconds * 1000)
+                        .catch(limitError => logger.error({ domain: recipientDomain, error: limitError.message }, 'Failed to set domain cooldown'));
+                }
+
+                // Long backoffs (rate, reputation, full mailbox) are left to the queue instead of holding a worker
+                const retryInProcess = verdict.backoffSeconds * 1000 <= this.maxRetryDelay;
+
+                // If not retryable, max retries reached or backoff too long, fail
+                if (!isRetryable || !retryInProcess || attempt >= this.maxRetries) {
                     if (isRetryable) {
                         metrics.increment('emailsSoftFailed');
                     } else {
@@ -395,9 +552,9 @@ class EmailService {
                     }
                     metrics.increment('emailsFailed');
 
-                    // If rate limit error, set cooldown
-                    if (error.responseCode === 421 || (error.message?.toLowerCase().includes('rate limit'))) {
-                        rateLimiter.setDomainCooldown(recipientDomain, 60000); // 1 minute cooldown
+                    // Bad mailbox: never try this address again
+                    if (verdict.suppress) {
+                        await this.recordRejection(to, verdict, error, metadata);
                     }
 
                     return {
@@ -406,6 +563,9 @@ class EmailService {
                         responseCode: error.responseCode,
                         isRetryable,
                         attempt,
+                        verdict,
+                        transporter: transporterName,
+                        ...(isRetryable ? { retryAfterSeconds: verdict.backoffSeconds } : {}),
                     };
                 }
 
@@ -439,7 +599,7 @@ class EmailService {
      */
     getStats() {
         return {
-            processedMessagesCount: this.processedMessages.size,
+            idempotency: idempotencyService.getStats(),
             transportersCount: this.transporters.size + 1, // +1 for default
         };
     }
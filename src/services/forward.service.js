@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const CampaignSend = require('../models/campaignSend.model');
+const Stats = require('../models/stats.model');
+const campaignProducer = require('./campaignProducer.service');
+const suppressionService = require('./suppression.service');
+const sqsService = require('./sqs.service');
+const deliveryService = require('./delivery.service');
+const { sign, verify } = require('../utils/signedToken');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Forward-to-a-friend
+ * Signed per-recipient forward links; forwards are queued as a send of the same campaign
+ */
+class ForwardService {
+    constructor() {
+        this.secret = config.security.forwardSecretKey;
+        this.baseUrl = `${config.server.url.replace(/\/+$/, '')}/forward`;
+        this.maxPerRecipient = config.forward?.maxPerRecipient || 5;
+    }
+
+    /**
+     * Check if a message can carry a forward link
+     * Forwarded copies don't, so a forward can't be forwarded again
+     */
+    isForwardable(metadata = {}) {
+        return Boolean(metadata.statsId && metadata.campaignSendId && !metadata.forwardedBy);
+    }
+
+    /**
+     * Signed forward token bound to recipient, stats and campaign send
+     */
+    generateToken(email, metadata = {}) {
+        return sign({
+            e: String(email).trim().toLowerCase(),
+            s: String(metadata.statsId),
+            c: String(metadata.campaignSendId),
+        }, this.secret);
+    }
+
+    /**
+     * Verify forward token and return { email, statsId, campaignSendId } or null
+     */
+    verifyToken(token) {
+        const payload = verify(token, this.secret);
+        if (!payload?.e || !mongoose.isValidObjectId(payload.s) || !mongoose.isValidObjectId(payload.c)) {
+            return null;
+        }
+        return { email: payload.e, statsId: payload.s, campaignSendId: payload.c };
+    }
+
+    /**
+     * Forward page URL for a recipient
+     */
+    buildUrl(email, metadata = {}) {
+        return `${this.baseUrl}/${this.generateToken(email, metadata)}`;
+    }
+
+    /**
+     * Reserve a forward slot for the original recipient and record it in Stats.forwards
+     * Atomic across instances: the push only happens while the recipient is under the limit
+     */
+    async reserveForward(statsId, email) {
+        const result = await Stats.updateOne(
+            {
+                _id: statsId,
+                $expr: {
+                    $lt: [
+                        { $size: { $filter: { input: { $ifNull: ['$forwards', []] }, cond: { $eq: ['$$this', email] } } } },
+                        this.maxPerRecipient,
+                    ],
+                },
+            },
+            { $push: { forwards: email } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Give back a forward slot reserved for a forward that could not be queued
+     * Only one entry is removed: the positional $unset clears the first match, then the hole is pulled
+     */
+    async releaseForward(statsId, email) {
+        try {
+            await Stats.updateOne({ _id: statsId, forwards: email }, { $unset: { 'forwards.$': 1 } });
+            await Stats.updateOne({ _id: statsId }, { $pull: { forwards: null } });
+        } catch (error) {
+            logger.error({ statsId, forwardedBy: email, error: error.message }, 'Failed to release forward slot');
+        }
+    }
+
+    /**
+     * Queue a send of the campaign to a friend's address
+     * @returns {Promise<{status: string}>} queued | invalid_token | invalid_email | suppressed | rate_limited | not_found | failed
+     */
+    async forward(token, friendEmail) {
+        const data = this.verifyToken(token);
+        if (!data) {
+            return { status: 'invalid_token' };
+        }
+
+        const friend = typeof friendEmail === 'string' ? friendEmail.trim().toLowerCase() : '';
+        if (!friend || !validator.isEmail(friend) || friend === data.email) {
+            return { status: 'invalid_email' };
+        }
+
+        if (await suppressionService.isSuppressed(friend)) {
+            logger.info({ statsId: data.statsId, forwardedBy: data.email }, 'Forward target is suppressed');
+            return { status: 'suppressed' };
+        }
+
+        const campaignSend = await CampaignSend.findById(data.campaignSendId).lean();
+        if (!campaignSend || String(campaignSend.statsId) !== data.statsId) {
+            return { status: 'not_found' };
+        }
+
+        if (!await this.reserveForward(data.statsId, data.email)) {
+            logger.warn({ statsId: data.statsId, forwardedBy: data.email }, 'Forward rate limit reached');
+            return { status: 'rate_limited' };
+        }
+
+        const recipient = {
+            email: friend,
+            contact: null,
+            timezone: await campaignProducer.getUserTimeZone(campaignSend.userId),
+        };
+        const entry = campaignProducer.buildEntry(campaignSend, recipient, 0, {
+            forwardedBy: data.email,
+            idempotencyKey: campaignProducer.buildIdempotencyKey(`${campaignSend._id}:forward:${data.email}`, friend),
+        });
+
+        // Outbox: the delivery row exists before the message can be consumed
+        const body = JSON.parse(entry.MessageBody);
+        await deliveryService.recordQueued([body]);
+
+        let error = null;
+        try {
+            const { failed } = await sqsService.sendMessageBatch([entry]);
+            error = failed.length > 0 ? failed[0].Message : null;
+        } catch (sendError) {
+            error = sendError.message;
+        }
+
+        if (error) {
+            await deliveryService.recordEnqueueFailed([body], error);
+            await this.releaseForward(data.statsId, data.email);
+            logger.error({ statsId: data.statsId, forwardedBy: data.email, error }, 'Failed to queue forward');
+            return { status: 'failed' };
+        }
+
+        logger.info({ statsId: data.statsId, campaignSendId: data.campaignSendId, forwardedBy: data.email }, 'Forward queued');
+        return { status: 'queued' };
+    }
+}
+
+module.exports = new ForwardService();
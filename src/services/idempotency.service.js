@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * In-process store (tests, single instance)
+ */
+class MemoryIdempotencyStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async claim(key, owner, { leaseMs, windowMs }) {
+        const now = Date.now();
+        const record = this.records.get(key);
+
+        if (record && record.expiresAt > now) {
+            if (record.status === 'committed') {
+                return { claimed: false, status: 'committed' };
+            }
+            if (record.leaseUntil > now) {
+                return { claimed: false, status: 'claimed', leaseUntil: new Date(record.leaseUntil) };
+            }
+        }
+
+        this.records.set(key, { status: 'claimed', owner, leaseUntil: now + leaseMs, expiresAt: now + windowMs });
+        return { claimed: true };
+    }
+
+    async commit(key, owner, { messageId = '' } = {}, { windowMs }) {
+        const record = this.records.get(key);
+        if (!record || record.owner !== owner) {
+            return false;
+        }
+        this.records.set(key, { status: 'committed', owner, messageId, leaseUntil: 0, expiresAt: Date.now() + windowMs });
+        return true;
+    }
+
+    async release(key, owner) {
+        const record = this.records.get(key);
+        if (record && record.owner === owner && record.status === 'claimed') {
+            this.records.delete(key);
+        }
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, record] of this.records.entries()) {
+            if (record.expiresAt <= now) {
+                this.records.delete(key);
+            }
+        }
+    }
+
+    getStats() {
+        return { type: 'memory', size: this.records.size };
+    }
+}
+
+/**
+ * MongoDB store shared by all Lambdas and instances (TTL index removes expired keys)
+ */
+class MongoIdempotencyStore {
+    async claim(key, owner, { leaseMs, windowMs }) {
+        const now = new Date();
+
+        try {
+            // Inserts a new claim, or takes over a claim whose lease ran out;
+            // a live claim or a committed key makes the upsert collide on the unique key
+            await IdempotencyKey.updateOne(
+                { key, status: 'claimed', leaseUntil: { $lte: now } },
+                {
+                    $set: {
+                        owner,
+                        leaseUntil: new Date(now.getTime() + leaseMs),
+                        expiresAt: new Date(now.getTime() + windowMs),
+                    },
+                },
+                { upsert: true }
+            );
+            return { claimed: true };
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        const existing = await IdempotencyKey.findOne({ key }).select('status leaseUntil').lean();
+        if (!existing) {
+            // Expired between the two calls
+            return this.claim(key, owner, { leaseMs, windowMs });
+        }
+        return { claimed: false, status: existing.status, leaseUntil: existing.leaseUntil };
+    }
+
+    async commit(key, owner, { messageId = '' } = {}, { windowMs }) {
+        const result = await IdempotencyKey.updateOne(
+            { key, owner },
+            {
+                $set: {
+                    status: 'committed',
+                    messageId,
+                    committedAt: new Date(),
+                    leaseUntil: null,
+                    expiresAt: new Date(Date.now() + windowMs),
+                },
+            }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    async release(key, owner) {
+        await IdempotencyKey.deleteOne({ key, owner, status: 'claimed' });
+    }
+
+    cleanup() {}
+
+    getStats() {
+        return { type: 'mongo' };
+    }
+}
+
+/**
+ * Send idempotency with claim/commit semantics
+ * - claim() before sending: only one worker can hold a key at a time
+ * - commit() after a successful send: redeliveries within the window are skipped
+ * - release() after a failed send: the next delivery may try again
+ * A claim that is never committed or released (crashed worker) can be taken over after its lease
+ */
+class IdempotencyService {
+    constructor() {
+        this.windowMs = (config.idempotency?.windowHours || 24) * 60 * 60 * 1000;
+        this.leaseMs = (config.idempotency?.claimLeaseSeconds || 600) * 1000;
+        this.store = config.idempotency?.store === 'memory'
+            ? new MemoryIdempotencyStore()
+            : new MongoIdempotencyStore();
+    }
+
+    /**
+     * Replace the store (tests, custom backends)
+     * @param {Object} store - Implements claim, commit, release, cleanup, getStats
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Idempotency key for a message
+     * Producer-supplied key first; SQS message id (stable across redeliveries) for older producers;
+     * a content hash only for direct calls without metadata
+     */
+    getKey(to, subject, content, metadata = {}) {
+        if (metadata.idempotencyKey) {
+            return String(metadata.idempotencyKey);
+        }
+        if (metadata.messageId) {
+            return `sqs:${metadata.messageId}`;
+        }
+        return `hash:${crypto
+            .createHash('sha256')
+            .update(`${to}:${subject}:${String(content || '').substring(0, 100)}`)
+            .digest('hex')}`;
+    }
+
+    /**
+     * Claim a key before sending
+     * @returns {Promise<{claimed: boolean, owner?: string, status?: string, retryAfterSeconds?: number}>}
+     */
+    async claim(key) {
+        const owner = crypto.randomBytes(12).toString('hex');
+        const result = await this.store.claim(key, owner, { leaseMs: this.leaseMs, windowMs: this.windowMs });
+
+        if (result.claimed) {
+            return { claimed: true, owner };
+        }
+
+        if (result.status === 'committed') {
+            return { claimed: false, status: 'committed' };
+        }
+
+        // Held by another worker: retry once its lease ends
+        const retryAfterSeconds = result.leaseUntil
+            ? Math.max(1, Math.ceil((new Date(result.leaseUntil).getTime() - Date.now()) / 1000))
+            : 60;
+        return { claimed: false, status: result.status, retryAfterSeconds };
+    }
+
+    /**
+     * Mark a claimed key as sent
+     */
+    async commit(key, owner, details = {}) {
+        const committed = await this.store.commit(key, owner, details, { windowMs: this.windowMs });
+        if (!committed) {
+            logger.warn({ key }, 'Idempotency claim was lost before commit');
+        }
+        return committed;
+    }
+
+    /**
+     * Give up a claim so a later delivery can send
+     */
+    async release(key, owner) {
+        await this.store.release(key, owner);
+    }
+
+    /**
+     * Remove expired entries (in-memory store only)
+     */
+    cleanup() {
+        this.store.cleanup();
+    }
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        return {
+            ...this.store.getStats(),
+            windowHours: this.windowMs / (60 * 60 * 1000),
+            claimLeaseSeconds: this.leaseMs / 1000,
+        };
+    }
+}
+
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
+module.exports.MemoryIdempotencyStore = MemoryIdempotencyStore;
+module.exports.MongoIdempotencyStore = MongoIdempotencyStore;
@@ -1,5 +1,7 @@
 const emailService = require('./email.service');
 const sqsService = require('./sqs.service');
+const deliveryService = require('./delivery.service');
+const retryScheduler = require('./retryScheduler.service');
 const metrics = require('./metrics.service');
 const rateLimiter = require('./rateLimiter.service');
 const logger = require('../config/logger');
@@ -43,7 +45,8 @@ class LambdaProcessorService {
 
         const summary = {
             processed: results.filter(r => r.success).length,
-            failed: results.filter(r => !r.success).length,
+            failed: results.filter(r => !r.success && !r.deferred).length,
+            deferred: results.filter(r => r.deferred).length,
             permanent: results.filter(r => r.permanent).length,
             total: records.length,
             batchItemFailures, // For Lambda partial batch failure reporting
@@ -64,6 +67,9 @@ class LambdaProcessorService {
         const results = [];
         const chunks = [];
 
+        // Keep the whole batch invisible while earlier chunks are being sent
+        records.forEach(record => sqsService.startHeartbeat(record.receiptHandle));
+
         // Split records into chunks based on maxConcurrency
         for (let i = 0; i < records.length; i += this.maxConcurrency) {
             chunks.push(records.slice(i, i + this.maxConcurrency));
@@ -87,6 +93,8 @@ class LambdaProcessorService {
             });
         }
 
+        await Promise.all(records.map(record => sqsService.stopHeartbeat(record.receiptHandle)));
+
         return results;
     }
 
@@ -116,6 +124,12 @@ class LambdaProcessorService {
                 metadata
             );
 
+            // Sending is over: stop extending visibility before deleting or deferring
+            await sqsService.stopHeartbeat(receiptHandle);
+
+            // Delivery ledger row for this recipient
+            await deliveryService.recordResult(parsedMessage, result, 'lambda');
+
             if (result.success) {
                 // Delete message from SQS
                 await sqsService.deleteMessage(receiptHandle);
@@ -128,6 +142,23 @@ class LambdaProcessorService {
                 }, 'Email processed successfully');
 
                 return { success: true, messageId };
+            } else if (result.suppressed) {
+                // Suppressed recipient - nothing to retry, remove from queue
+                await sqsService.deleteMessage(receiptHandle);
+                metrics.increment('sqsMessagesProcessed');
+
+                logger.info({
+                    messageId,
+                    to,
+                    reason: result.reason,
+                }, 'Recipient suppressed, message removed');
+
+                return { success: true, suppressed: true, messageId };
+            } else if (result.deferred) {
+                // Deferred (e.g. quiet hours) - hide message and report it as a batch item failure
+                // so the event source mapping does not delete it
+                await retryScheduler.defer(parsedMessage, result);
+                return { success: false, deferred: true, messageId };
             } else {
                 // Handle failure
                 return this.handleFailure(record, parsedMessage, result);
@@ -139,8 +170,12 @@ class LambdaProcessorService {
                 stack: error.stack,
             }, 'Error processing message');
 
+            await sqsService.stopHeartbeat(record.receiptHandle);
+
             metrics.increment('emailsFailed');
 
+            await deliveryService.recordError(parsedMessage, error, 'lambda');
+
             // Try to send to DLQ if it's a permanent failure
             try {
                 await sqsService.sendToDLQ(
@@ -179,10 +214,13 @@ class LambdaProcessorService {
             return {
                 receiptHandle: record.receiptHandle,
                 messageId: record.messageId,
+                receiveCount: Number(record.attributes?.ApproximateReceiveCount) || 1,
                 body: messageBody,
                 to: attributes.to?.stringValue || attributes.to?.StringValue || messageBody.to || body.to,
                 subject: attributes.subject?.stringValue || attributes.subject?.StringValue || messageBody.subject || body.subject,
-                content: messageBody.content || messageBody.html || messageBody.text || messageBody.body || body,
+                // Producer messages carry a templateId instead of content: the template is loaded when rendering
+                content: messageBody.content || messageBody.html || messageBody.text || messageBody.body
+                    || (messageBody.templateId ? undefined : body),
                 contentType: messageBody.contentType || (messageBody.html ? 'html' : 'text'),
                 metadata: {
                     ...messageBody,
@@ -201,7 +239,7 @@ class LambdaProcessorService {
      * Handle message processing failure
      */
     async handleFailure(record, parsedMessage, result) {
-        const { receiptHandle, messageId, to } = parsedMessage;
+        const { messageId, to } = parsedMessage;
 
         // Check if it's a permanent failure (hard fail)
         if (!result.isRetryable) {
@@ -212,26 +250,35 @@ class LambdaProcessorService {
             }, 'Permanent failure, sending to DLQ');
 
             try {
-                await sqsService.sendToDLQ(record.body || parsedMessage.body, {});
-                metrics.increment('dlqMessages');
-                await sqsService.deleteMessage(receiptHandle);
+                await retryScheduler.deadLetter(parsedMessage, result, record.body || JSON.stringify(parsedMessage.body), {});
             } catch (error) {
                 logger.error({ error: error.message }, 'Failed to send to DLQ');
             }
 
             return { success: false, permanent: true, error: result.error };
-        } else {
-            // Transient failure - don't delete message, let it retry via SQS visibility timeout
+        }
+
+        // Transient failure - hide the message for the backoff delay, DLQ after max receives
+        try {
+            const retry = await retryScheduler.scheduleRetry(parsedMessage, result, record.body || JSON.stringify(parsedMessage.body), {});
+
+            if (retry.deadLettered) {
+                return { success: false, permanent: true, error: result.error };
+            }
+
             logger.warn({
                 messageId,
                 to,
                 attempt: result.attempt,
-                willRetry: true,
-            }, 'Transient failure, message will be retried by SQS');
-
-            // Throw error so Lambda marks it as failed and SQS retries
-            throw new Error(`Transient failure: ${result.error}`);
+                failures: retry.failureCount,
+                retryAfterSeconds: retry.retryAfterSeconds,
+            }, 'Transient failure, retry scheduled');
+        } catch (error) {
+            // Message becomes visible again after the visibility timeout
+            logger.error({ error: error.message, messageId }, 'Failed to schedule retry');
         }
+
+        return { success: false, isRetryable: true, error: result.error };
     }
 
     /**
@@ -10,11 +10,16 @@ class MetricsService {
             emailsFailed: 0,
             emailsSoftFailed: 0,
             emailsHardFailed: 0,
+            emailsDeferred: 0,
+            emailsSuppressed: 0,
             sqsMessagesReceived: 0,
             sqsMessagesProcessed: 0,
             smtpErrors: 0,
             retries: 0,
+            retriesScheduled: 0,
             dlqMessages: 0,
+            throttleDecreases: 0,
+            throttleIncreases: 0,
             startTime: Date.now(),
         };
 
@@ -27,6 +32,9 @@ class MetricsService {
         // Per-domain metrics
         this.domainMetrics = new Map();
 
+        // Adaptive throttle state per domain or provider group (only while below full rate)
+        this.throttles = new Map();
+
         // Interval for periodic metrics logging
         this.reportInterval = null;
     }
@@ -84,6 +92,19 @@ class MetricsService {
         }
     }
 
+    /**
+     * Record the adaptive throttle state of a domain or provider group
+     * @param {string} name - Domain or group name
+     * @param {Object} state - { factor, effectiveLimits }
+     */
+    recordThrottle(name, state) {
+        if (state.factor >= 1) {
+            this.throttles.delete(name);
+        } else {
+            this.throttles.set(name, { ...state, updatedAt: new Date().toISOString() });
+        }
+    }
+
     /**
      * Calculate emails per minute
      */
@@ -132,6 +153,7 @@ class MetricsService {
                 averageEmailsPerMinute: uptimeMinutes > 0 ? this.metrics.emailsSent / uptimeMinutes : 0,
             },
             domainMetrics: Object.fromEntries(this.domainMetrics),
+            throttles: Object.fromEntries(this.throttles),
             timestamp: new Date().toISOString(),
         };
     }
@@ -169,11 +191,16 @@ class MetricsService {
             emailsFailed: 0,
             emailsSoftFailed: 0,
             emailsHardFailed: 0,
+            emailsDeferred: 0,
+            emailsSuppressed: 0,
             sqsMessagesReceived: 0,
             sqsMessagesProcessed: 0,
             smtpErrors: 0,
             retries: 0,
+            retriesScheduled: 0,
             dlqMessages: 0,
+            throttleDecreases: 0,
+            throttleIncreases: 0,
             startTime: Date.now(),
         };
         this.timeSeries = {
@@ -181,6 +208,7 @@ class MetricsService {
             errors: [],
         };
         this.domainMetrics.clear();
+        this.throttles.clear();
     }
 }
 
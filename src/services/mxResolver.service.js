@@ -0,0 +1,156 @@
+const dns = require('dns');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+// Mailbox providers: well-known consumer domains skip the lookup, other domains are matched on their MX hosts
+// (Google Workspace: aspmx.l.google.com, smtp.google.com; Microsoft 365: *.mail.protection.outlook.com)
+const PROVIDERS = [
+    {
+        group: 'google',
+        domains: ['gmail.com', 'googlemail.com'],
+        mx: /(^|\.)(google\.com|googlemail\.com)$/,
+    },
+    {
+        group: 'microsoft',
+        domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'],
+        mx: /(^|\.)(outlook\.com|hotmail\.com)$/,
+    },
+    {
+        group: 'yahoo',
+        domains: ['yahoo.com', 'ymail.com', 'rocketmail.com', 'aol.com'],
+        mx: /(^|\.)(yahoodns\.net|yahoo\.com|aol\.com)$/,
+    },
+];
+
+/**
+ * Resolves recipient domains to mailbox provider groups (google, microsoft, yahoo, other) from their MX records
+ * Results are cached; lookups that fail or time out count as 'other' for a short time
+ * The DNS resolver is injectable (setResolver) so tests and offline runs need no network
+ */
+class MxResolverService {
+    constructor() {
+        this.resolver = domain => dns.promises.resolveMx(domain);
+        this.cacheTtlMs = (config.mx?.cacheTtlSeconds || 6 * 60 * 60) * 1000;
+        this.failureTtlMs = 5 * 60 * 1000;
+        this.lookupTimeoutMs = 3000;
+        this.maxCacheSize = 50000;
+
+        this.knownDomains = new Map();
+        PROVIDERS.forEach(provider => provider.domains.forEach(domain => this.knownDomains.set(domain, provider.group)));
+
+        this.cache = new Map();
+        this.pending = new Map();
+        this.stats = { lookups: 0, failures: 0, cacheHits: 0 };
+    }
+
+    /**
+     * Replace the MX lookup (tests, custom DNS)
+     * @param {Function} resolver - async (domain) => [{ exchange, priority }]
+     */
+    setResolver(resolver) {
+        this.resolver = resolver;
+        this.cache.clear();
+        this.pending.clear();
+    }
+
+    /**
+     * Provider group of a set of MX records (lowest priority first)
+     */
+    classify(records) {
+        const exchanges = [...records]
+            .sort((a, b) => a.priority - b.priority)
+            .map(record => String(record.exchange || '').toLowerCase().replace(/\.$/, ''));
+
+        for (const exchange of exchanges) {
+            const provider = PROVIDERS.find(candidate => candidate.mx.test(exchange));
+            if (provider) {
+                return provider.group;
+            }
+        }
+        return 'other';
+    }
+
+    /**
+     * Provider group of a recipient domain
+     * @returns {Promise<string>} google, microsoft, yahoo or other (never rejects)
+     */
+    async getGroup(domain) {
+        if (!domain || domain === 'unknown') {
+            return 'other';
+        }
+
+        const known = this.knownDomains.get(domain);
+        if (known) {
+            return known;
+        }
+
+        const cached = this.cache.get(domain);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return cached.group;
+        }
+
+        if (!this.pending.has(domain)) {
+            const lookup = this.lookup(domain).finally(() => this.pending.delete(domain));
+            this.pending.set(domain, lookup);
+        }
+        return this.pending.get(domain);
+    }
+
+    /**
+     * Resolve and cache the group of a domain
+     */
+    async lookup(domain) {
+        this.stats.lookups++;
+        let group = 'other';
+        let ttlMs = this.cacheTtlMs;
+        let timeout = null;
+
+        try {
+            const records = await Promise.race([
+                this.resolver(domain),
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error('MX lookup timed out')), this.lookupTimeoutMs);
+                }),
+            ]);
+            group = this.classify(records || []);
+        } catch (error) {
+            this.stats.failures++;
+            ttlMs = this.failureTtlMs;
+            logger.debug({ domain, error: error.message }, 'MX lookup failed, using default group');
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        // Oldest entries go first when the cache is full
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(domain, { group, expiresAt: Date.now() + ttlMs });
+        return group;
+    }
+
+    /**
+     * Remove expired cache entries
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [domain, entry] of this.cache.entries()) {
+            if (entry.expiresAt <= now) {
+                this.cache.delete(domain);
+            }
+        }
+    }
+
+    /**
+     * Get resolver statistics
+     */
+    getStats() {
+        return {
+            cacheSize: this.cache.size,
+            ...this.stats,
+        };
+    }
+}
+
+module.exports = new MxResolverService();
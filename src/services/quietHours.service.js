@@ -0,0 +1,40 @@
+const { isValidTimeZone, getRemainingWindowMs } = require('../utils/timezone');
+const config = require('../config/config');
+
+/**
+ * Quiet hours rules evaluated in the recipient's local time
+ * Messages that fall inside quiet hours are deferred instead of sent
+ */
+class QuietHoursService {
+    constructor() {
+        this.defaultWindow = config.quietHours?.start && config.quietHours?.end
+            ? { start: config.quietHours.start, end: config.quietHours.end }
+            : null;
+    }
+
+    /**
+     * Get quiet hours window for a message (campaign override, then global default)
+     */
+    getWindow(metadata = {}) {
+        if (metadata.quietHours?.start && metadata.quietHours?.end) {
+            return metadata.quietHours;
+        }
+        return this.defaultWindow;
+    }
+
+    /**
+     * Seconds the message must be deferred for, or 0 if it can be sent now
+     * Messages without a recipient time zone are never deferred
+     */
+    getDeferralSeconds(metadata = {}, now = new Date()) {
+        const window = this.getWindow(metadata);
+        if (!window || !isValidTimeZone(metadata.timezone)) {
+            return 0;
+        }
+
+        const remainingMs = getRemainingWindowMs(window.start, window.end, metadata.timezone, now);
+        return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+    }
+}
+
+module.exports = new QuietHoursService();
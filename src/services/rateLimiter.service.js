@@ -1,38 +1,296 @@
+const RateLimitCounter = require('../models/rateLimitCounter.model');
+const domainPolicy = require('./domainPolicy.service');
+const mxResolver = require('./mxResolver.service');
+const adaptiveThrottle = require('./adaptiveThrottle.service');
+const metrics = require('./metrics.service');
 const logger = require('../config/logger');
+const config = require('../config/config');
+
+// Supported limit windows (limits object key -> period)
+const WINDOWS = {
+    perSecond: 1000,
+    perMinute: 60 * 1000,
+    perHour: 60 * 60 * 1000,
+    perDay: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * GCRA parameters of each configured window of a limits object
+ * A window allows `burst` sends back to back, then one every periodMs / limit
+ * @param {Object} limits - { perSecond?, perMinute?, perHour?, perDay?, burst? }
+ * @returns {Array<{name: string, periodMs: number, intervalMs: number, toleranceMs: number}>}
+ */
+const getWindows = (limits) => Object.entries(WINDOWS)
+    .filter(([name]) => limits[name] > 0)
+    .map(([name, periodMs]) => {
+        const intervalMs = periodMs / limits[name];
+        const burst = Math.min(Math.max(limits.burst || 1, 1), limits[name]);
+        return { name, periodMs, intervalMs, toleranceMs: (burst - 1) * intervalMs };
+    });
+
+/**
+ * Time until every window admits one more send (0 if it can send now)
+ * @param {Object} tat - Theoretical arrival time per window (epoch ms)
+ */
+const getRetryAfter = (tat, windows, now) => windows.reduce(
+    (max, window) => Math.max(max, (tat[window.name] || 0) - window.toleranceMs - now),
+    0
+);
+
+/**
+ * Sends every window admits right now
+ */
+const getAvailable = (tat, windows, now) => windows.reduce((min, window) => {
+    const backlogMs = Math.max(0, (tat[window.name] || 0) - now);
+    const available = Math.floor((window.toleranceMs - backlogMs) / window.intervalMs + 1e-9) + 1;
+    return Math.min(min, Math.max(0, available));
+}, Infinity);
+
+/**
+ * In-process backend
+ * Limits hold per process only; also used as the fallback when the shared backend fails
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.tats = new Map();
+        this.cooldowns = new Map();
+    }
+
+    async acquire(key, windows) {
+        const now = Date.now();
+        const tat = this.tats.get(key) || {};
+        const retryAfterMs = getRetryAfter(tat, windows, now);
+
+        if (retryAfterMs > 0) {
+            return { allowed: false, retryAfterMs };
+        }
+
+        windows.forEach((window) => {
+            tat[window.name] = Math.max(tat[window.name] || 0, now) + window.intervalMs;
+        });
+        this.tats.set(key, tat);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    async release(key, windows) {
+        const tat = this.tats.get(key);
+        if (!tat) {
+            return;
+        }
+        windows.forEach((window) => {
+            if (tat[window.name]) {
+                tat[window.name] -= window.intervalMs;
+            }
+        });
+    }
+
+    async getState(key) {
+        return this.tats.get(key) || {};
+    }
+
+    async setCooldown(key, until) {
+        this.cooldowns.set(key, Math.max(until, this.cooldowns.get(key) || 0));
+    }
+
+    async clearCooldown(key) {
+        this.cooldowns.delete(key);
+    }
+
+    async getCooldown(key) {
+        return this.cooldowns.get(key) || 0;
+    }
+
+    cleanup() {
+        const now = Date.now();
+
+        // A key whose arrival times have all passed is back to full burst
+        for (const [key, tat] of this.tats.entries()) {
+            if (Object.values(tat).every(t => t <= now)) {
+                this.tats.delete(key);
+            }
+        }
+
+        for (const [key, until] of this.cooldowns.entries()) {
+            if (now >= until) {
+                this.cooldowns.delete(key);
+            }
+        }
+    }
+
+    getStats() {
+        return { type: 'memory', keys: this.tats.size, cooldowns: this.cooldowns.size };
+    }
+}
+
+/**
+ * MongoDB backend shared by all Lambdas and instances
+ * acquire is a single conditional update: it only matches while every window admits the send,
+ * so concurrent workers can never reserve more than the limit
+ */
+class MongoRateLimitStore {
+    constructor() {
+        // Short read cache so the scheduler doesn't query Mongo on every poll
+        this.readCache = new Map();
+        this.readCacheMs = 1000;
+        this.maxAcquireAttempts = 3;
+    }
+
+    cached(cacheKey, load) {
+        const entry = this.readCache.get(cacheKey);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.value;
+        }
+
+        const value = load();
+        this.readCache.set(cacheKey, { value, expiresAt: Date.now() + this.readCacheMs });
+        value.catch(() => this.readCache.delete(cacheKey));
+        return value;
+    }
+
+    async acquire(key, windows) {
+        for (let attempt = 1; attempt <= this.maxAcquireAttempts; attempt++) {
+            const now = Date.now();
+            const filter = {
+                key,
+                $and: windows.map(window => ({
+                    $or: [
+                        { [`tat.${window.name}`]: { $exists: false } },
+                        { [`tat.${window.name}`]: { $lte: now + window.toleranceMs } },
+                    ],
+                })),
+            };
+            const update = [{
+                $set: {
+                    ...Object.fromEntries(windows.map(window => [
+                        `tat.${window.name}`,
+                        { $add: [{ $max: [`$tat.${window.name}`, now] }, window.intervalMs] },
+                    ])),
+                    expiresAt: new Date(now + Math.max(...windows.map(window => window.periodMs))),
+                },
+            }];
+
+            try {
+                // No match on an existing key means a window is full: the upsert then fails with E11000
+                await RateLimitCounter.updateOne(filter, update, { upsert: true });
+                this.readCache.delete(key);
+                return { allowed: true, retryAfterMs: 0 };
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+
+            // Denied, or lost the race to create the key: retry only if it admits a send now
+            this.readCache.delete(key);
+            const retryAfterMs = getRetryAfter(await this.getState(key), windows, Date.now());
+            if (retryAfterMs > 0) {
+                return { allowed: false, retryAfterMs };
+            }
+        }
+
+        return { allowed: false, retryAfterMs: Math.min(...windows.map(window => window.intervalMs)) };
+    }
+
+    async release(key, windows) {
+        await RateLimitCounter.updateOne({ key }, [{
+            $set: Object.fromEntries(windows.map(window => [
+                `tat.${window.name}`,
+                { $subtract: [`$tat.${window.name}`, window.intervalMs] },
+            ])),
+        }]);
+        this.readCache.delete(key);
+    }
+
+    async getState(key) {
+        return this.cached(key, async () => {
+            const doc = await RateLimitCounter.findOne({ key }).select('tat').lean();
+            return doc?.tat || {};
+        });
+    }
+
+    async setCooldown(key, until) {
+        await RateLimitCounter.updateOne(
+            { key: `cooldown:${key}` },
+            { $max: { until: new Date(until), expiresAt: new Date(until) } },
+            { upsert: true }
+        );
+        this.readCache.delete(`cooldown:${key}`);
+    }
+
+    async clearCooldown(key) {
+        await RateLimitCounter.deleteOne({ key: `cooldown:${key}` });
+        this.readCache.delete(`cooldown:${key}`);
+    }
+
+    async getCooldown(key) {
+        return this.cached(`cooldown:${key}`, async () => {
+            const doc = await RateLimitCounter.findOne({ key: `cooldown:${key}` }).select('until').lean();
+            return doc?.until ? doc.until.getTime() : 0;
+        });
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [cacheKey, entry] of this.readCache.entries()) {
+            if (entry.expiresAt <= now) {
+                this.readCache.delete(cacheKey);
+            }
+        }
+    }
+
+    getStats() {
+        return { type: 'mongo' };
+    }
+}
 
 /**
  * Rate limiter service for email sending
- * Implements per-domain throttling and global rate limiting
+ * Implements per-domain throttling and global rate limiting with GCRA (token bucket equivalent):
+ * each limit has per-second/minute/hour/day windows and a burst, and acquire() atomically reserves a slot
+ * Limits come from the domain policy: a domain with its own entry has its own budget, domains of a group
+ * (listed, or sharing a mailbox provider by MX) share one, and so do their cooldowns
+ * Policy limits are scaled down by the adaptive throttle while a provider defers or resets connections
+ * State lives in a pluggable backend (RATE_LIMIT_STORE): mongo shares limits across all
+ * Lambdas and instances, memory keeps them per process and is the fallback on backend errors
  */
 class RateLimiterService {
     constructor() {
-        // Domain-specific rate limits (emails per minute)
-        // Conservative limits to avoid blocks, especially for Gmail
-        this.domainLimits = new Map([
-            ['gmail.com', 15], // Conservative: Gmail allows ~20/min but safer at 15
-            ['googlemail.com', 15], // Same as gmail.com
-            ['outlook.com', 20],
-            ['hotmail.com', 20],
-            ['live.com', 20],
-            ['msn.com', 20],
-            ['yahoo.com', 25],
-            ['aol.com', 25],
-            ['default', 30], // Default limit (more conservative)
-        ]);
+        this.fallbackStore = new MemoryRateLimitStore();
+        this.store = config.rateLimit?.store === 'mongo' ? new MongoRateLimitStore() : this.fallbackStore;
+        this.lastFallbackLogAt = 0;
 
-        // Track recent sends per domain
-        this.domainCounters = new Map();
+        // Acquire outcomes per policy (domain or group name, for getStats)
+        this.domainStats = new Map();
 
-        // Global rate limit (emails per second)
-        this.globalRateLimit = 35; // ~35 emails/sec = 2100/min
-        this.globalCounter = [];
-        this.globalCounterStartTime = Date.now();
+        // Cleanup interval for expired state
+        this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Every minute
+    }
+
+    /**
+     * Replace the backend (tests, custom backends)
+     * @param {Object} store - Implements acquire, release, getState, setCooldown, clearCooldown, getCooldown, cleanup, getStats
+     */
+    setStore(store) {
+        this.store = store;
+    }
 
-        // Per-domain cooldown periods (in milliseconds)
-        this.domainCooldowns = new Map();
+    /**
+     * Run a backend operation, falling back to the in-memory backend if it fails
+     */
+    async run(operation, ...args) {
+        try {
+            return await this.store[operation](...args);
+        } catch (error) {
+            if (this.store === this.fallbackStore) {
+                throw error;
+            }
 
-        // Cleanup interval for expired counters
-        this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Every minute
+            if (Date.now() - this.lastFallbackLogAt > 60000) {
+                this.lastFallbackLogAt = Date.now();
+                logger.error({ error: error.message, operation }, 'Rate limit backend failed, using in-memory limits');
+            }
+            return this.fallbackStore[operation](...args);
+        }
     }
 
     /**
@@ -50,123 +308,172 @@ class RateLimiterService {
     }
 
     /**
-     * Get rate limit for a domain
+     * Sending policy of a domain (limit key, limits, cooldown and max connections)
      */
-    getDomainLimit(domain) {
-        return this.domainLimits.get(domain) || this.domainLimits.get('default');
+    async getPolicy(domain) {
+        return domainPolicy.resolve(domain, await mxResolver.getGroup(domain));
     }
 
     /**
-     * Check if we can send to a domain right now
+     * Get rate limits for a domain
+     * @returns {Promise<Object>} { perSecond?, perMinute?, perHour?, perDay?, burst? }
      */
-    canSendToDomain(domain) {
-        const limit = this.getDomainLimit(domain);
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
+    async getDomainLimit(domain) {
+        return (await this.getPolicy(domain)).limits;
+    }
 
-        // Check cooldown
-        const cooldownUntil = this.domainCooldowns.get(domain);
-        if (cooldownUntil && now < cooldownUntil) {
-            return false;
-        }
+    /**
+     * Policy limits after adaptive throttling
+     */
+    getEffectiveLimits(policy) {
+        return adaptiveThrottle.apply(policy.key, policy.limits);
+    }
 
-        // Count recent sends
-        if (!this.domainCounters.has(domain)) {
-            this.domainCounters.set(domain, []);
+    /**
+     * Feed a send outcome to the adaptive throttle
+     * @param {Object} policy - Policy of the recipient domain (getPolicy)
+     * @param {string} outcome - success, deferral or connection_reset
+     */
+    recordOutcome(policy, outcome) {
+        if (!adaptiveThrottle.record(policy.key, outcome)) {
+            return;
         }
 
-        const timestamps = this.domainCounters.get(domain);
-        const recent = timestamps.filter(t => t > oneMinuteAgo);
-
-        return recent.length < limit;
+        const factor = adaptiveThrottle.getFactor(policy.key);
+        metrics.increment(outcome === 'success' ? 'throttleIncreases' : 'throttleDecreases');
+        metrics.recordThrottle(policy.name, { factor, effectiveLimits: this.getEffectiveLimits(policy) });
     }
 
     /**
-     * Check global rate limit
+     * Record a successful send for adaptive throttling
      */
-    canSendGlobally() {
-        const now = Date.now();
-        const oneSecondAgo = now - 1000;
-
-        // Keep only recent entries
-        this.globalCounter = this.globalCounter.filter(t => t > oneSecondAgo);
-
-        return this.globalCounter.length < this.globalRateLimit;
+    recordSuccess(policy) {
+        this.recordOutcome(policy, 'success');
     }
 
     /**
-     * Record a send attempt
+     * Record a failed send for adaptive throttling (only deferrals and connection resets count)
      */
-    recordSend(domain) {
-        const now = Date.now();
-
-        // Record in domain counter
-        if (!this.domainCounters.has(domain)) {
-            this.domainCounters.set(domain, []);
+    recordFailure(policy, error, verdict) {
+        const outcome = adaptiveThrottle.classify(error, verdict);
+        if (outcome) {
+            this.recordOutcome(policy, outcome);
         }
-        this.domainCounters.get(domain).push(now);
-
-        // Record in global counter
-        this.globalCounter.push(now);
     }
 
     /**
-     * Calculate delay before next send to a domain
+     * Atomically reserve a send slot for a domain (domain or group windows, then the global ones)
+     * @returns {Promise<{allowed: boolean, retryAfterMs: number}>}
      */
-    getDelayForDomain(domain) {
-        const limit = this.getDomainLimit(domain);
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
+    async acquire(domain) {
+        const policy = await this.getPolicy(domain);
 
-        if (!this.domainCounters.has(domain)) {
-            return 0;
+        const cooldownMs = await this.getCooldownRemaining(domain);
+        if (cooldownMs > 0) {
+            return this.trackAcquire(policy, { allowed: false, retryAfterMs: cooldownMs });
         }
 
-        const timestamps = this.domainCounters.get(domain);
-        const recent = timestamps.filter(t => t > oneMinuteAgo);
+        const domainWindows = getWindows(this.getEffectiveLimits(policy));
+        const reserved = await this.run('acquire', policy.key, domainWindows);
+        if (!reserved.allowed) {
+            return this.trackAcquire(policy, reserved);
+        }
 
-        if (recent.length >= limit) {
-            // Calculate time until oldest entry expires
-            const oldest = Math.min(...recent);
-            const delay = (oldest + 60000) - now;
-            return Math.max(0, delay);
+        const global = await this.run('acquire', 'global', getWindows(domainPolicy.getGlobalLimits()));
+        if (!global.allowed) {
+            // Give the domain slot back so it isn't lost to the global limit
+            await this.run('release', policy.key, domainWindows);
+            return this.trackAcquire(policy, global);
         }
 
-        return 0;
+        return this.trackAcquire(policy, reserved);
     }
 
     /**
-     * Calculate delay before next global send
+     * Count an acquire outcome for getStats
      */
-    getGlobalDelay() {
-        const now = Date.now();
-        const oneSecondAgo = now - 1000;
+    trackAcquire(policy, result) {
+        const stats = this.domainStats.get(policy.name) || { acquired: 0, denied: 0 };
+        if (result.allowed) {
+            stats.acquired++;
+        } else {
+            stats.denied++;
+        }
+        stats.retryAfterMs = result.retryAfterMs;
+        stats.lastSeen = Date.now();
+        stats.key = policy.key;
+        stats.limits = policy.limits;
+        this.domainStats.set(policy.name, stats);
+        return result;
+    }
+
+    /**
+     * Check if we can send to a domain right now
+     */
+    async canSendToDomain(domain) {
+        return (await this.getAvailableCapacity(domain)) > 0;
+    }
+
+    /**
+     * Check global rate limit
+     */
+    async canSendGlobally() {
+        return (await this.getGlobalDelay()) === 0;
+    }
 
-        this.globalCounter = this.globalCounter.filter(t => t > oneSecondAgo);
+    /**
+     * Remaining cooldown for a domain in milliseconds (0 if none)
+     */
+    async getCooldownRemaining(domain) {
+        const until = await this.run('getCooldown', (await this.getPolicy(domain)).key);
+        return Math.max(0, until - Date.now());
+    }
 
-        if (this.globalCounter.length >= this.globalRateLimit) {
-            const oldest = Math.min(...this.globalCounter);
-            const delay = (oldest + 1000) - now;
-            return Math.max(0, delay);
+    /**
+     * Number of sends a domain can take right now (0 while cooling down)
+     */
+    async getAvailableCapacity(domain) {
+        if ((await this.getCooldownRemaining(domain)) > 0) {
+            return 0;
         }
 
-        return 0;
+        const policy = await this.getPolicy(domain);
+        const tat = await this.run('getState', policy.key);
+        return getAvailable(tat, getWindows(this.getEffectiveLimits(policy)), Date.now());
+    }
+
+    /**
+     * Calculate delay before next send to a domain
+     */
+    async getDelayForDomain(domain) {
+        const policy = await this.getPolicy(domain);
+        const tat = await this.run('getState', policy.key);
+        return getRetryAfter(tat, getWindows(this.getEffectiveLimits(policy)), Date.now());
+    }
+
+    /**
+     * Calculate delay before next global send
+     */
+    async getGlobalDelay() {
+        const tat = await this.run('getState', 'global');
+        return getRetryAfter(tat, getWindows(domainPolicy.getGlobalLimits()), Date.now());
     }
 
     /**
      * Set cooldown for a domain (e.g., after receiving rate limit error)
      */
-    setDomainCooldown(domain, durationMs = 60000) {
+    async setDomainCooldown(domain, durationMs = 60000) {
+        const policy = await this.getPolicy(domain);
         const cooldownUntil = Date.now() + durationMs;
-        this.domainCooldowns.set(domain, cooldownUntil);
-        logger.warn({ domain, cooldownMs: durationMs }, 'Domain rate limit cooldown set');
+        await this.run('setCooldown', policy.key, cooldownUntil);
+        logger.warn({ domain, policy: policy.name, cooldownMs: durationMs }, 'Domain rate limit cooldown set');
     }
 
     /**
      * Clear cooldown for a domain
      */
-    clearDomainCooldown(domain) {
-        this.domainCooldowns.delete(domain);
+    async clearDomainCooldown(domain) {
+        await this.run('clearCooldown', (await this.getPolicy(domain)).key);
     }
 
     /**
@@ -174,47 +481,48 @@ class RateLimiterService {
      */
     async getDelayBeforeSend(email) {
         const domain = this.extractDomain(email);
-        const domainDelay = this.getDelayForDomain(domain);
-        const globalDelay = this.getGlobalDelay();
+        const [cooldownDelay, domainDelay, globalDelay] = await Promise.all([
+            this.getCooldownRemaining(domain),
+            this.getDelayForDomain(domain),
+            this.getGlobalDelay(),
+        ]);
 
-        return Math.max(domainDelay, globalDelay);
+        return Math.max(cooldownDelay, domainDelay, globalDelay);
     }
 
     /**
-     * Wait if necessary before sending
+     * Wait until a send slot for an email is reserved
+     * @param {string} email - Recipient address
+     * @param {number} [maxWaitMs] - Give up instead of waiting longer than this
+     * @returns {Promise<{allowed: boolean, retryAfterMs: number}>} allowed: false if the wait would exceed maxWaitMs
      */
-    async waitIfNeeded(email) {
-        const delay = await this.getDelayBeforeSend(email);
-        if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
+    async waitIfNeeded(email, maxWaitMs = Infinity) {
+        const domain = this.extractDomain(email);
+        const deadline = Date.now() + maxWaitMs;
+
+        for (;;) {
+            const result = await this.acquire(domain);
+            if (result.allowed || Date.now() + result.retryAfterMs > deadline) {
+                return result;
+            }
+            await new Promise(resolve => setTimeout(resolve, result.retryAfterMs));
         }
     }
 
     /**
-     * Cleanup old counter entries
+     * Cleanup expired state
      */
     cleanup() {
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
-        const twoMinutesAgo = now - 120000;
-
-        // Clean domain counters
-        for (const [domain, timestamps] of this.domainCounters.entries()) {
-            const filtered = timestamps.filter(t => t > twoMinutesAgo);
-            if (filtered.length === 0) {
-                this.domainCounters.delete(domain);
-            } else {
-                this.domainCounters.set(domain, filtered);
-            }
+        this.store.cleanup();
+        if (this.store !== this.fallbackStore) {
+            this.fallbackStore.cleanup();
         }
+        adaptiveThrottle.cleanup();
 
-        // Clean global counter
-        this.globalCounter = this.globalCounter.filter(t => t > oneMinuteAgo);
-
-        // Clean expired cooldowns
-        for (const [domain, cooldownUntil] of this.domainCooldowns.entries()) {
-            if (now >= cooldownUntil) {
-                this.domainCooldowns.delete(domain);
+        const cutoff = Date.now() - WINDOWS.perDay;
+        for (const [domain, stats] of this.domainStats.entries()) {
+            if (stats.lastSeen < cutoff) {
+                this.domainStats.delete(domain);
             }
         }
     }
@@ -224,18 +532,26 @@ class RateLimiterService {
      */
     getStats() {
         const stats = {};
-        for (const [domain, timestamps] of this.domainCounters.entries()) {
-            const oneMinuteAgo = Date.now() - 60000;
-            const recent = timestamps.filter(t => t > oneMinuteAgo);
-            stats[domain] = {
-                recentCount: recent.length,
-                limit: this.getDomainLimit(domain),
-                utilization: (recent.length / this.getDomainLimit(domain)) * 100,
+        for (const [name, domainStats] of this.domainStats.entries()) {
+            stats[name] = {
+                limits: domainStats.limits,
+                effectiveLimits: adaptiveThrottle.apply(domainStats.key, domainStats.limits),
+                throttleFactor: adaptiveThrottle.getFactor(domainStats.key),
+                acquired: domainStats.acquired,
+                denied: domainStats.denied,
+                retryAfterMs: domainStats.retryAfterMs,
             };
         }
         return stats;
     }
 
+    /**
+     * Get backend statistics
+     */
+    getStoreStats() {
+        return this.store.getStats();
+    }
+
     /**
      * Destroy the rate limiter
      */
@@ -246,5 +562,9 @@ class RateLimiterService {
     }
 }
 
-module.exports = new RateLimiterService();
+const rateLimiter = new RateLimiterService();
 
+module.exports = rateLimiter;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.MongoRateLimitStore = MongoRateLimitStore;
+module.exports.getWindows = getWindows;
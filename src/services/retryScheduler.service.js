@@ -0,0 +1,137 @@
+const sqsService = require('./sqs.service');
+const deliveryService = require('./delivery.service');
+const metrics = require('./metrics.service');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Queue-controlled retry scheduling
+ * Soft-failed messages are hidden for the classifier's suggested delay, doubled per failed delivery;
+ * after maxFailures they go to the DLQ with their failure history
+ * Failures are counted from the delivery ledger, not ApproximateReceiveCount: deferrals (quiet hours, pause,
+ * rate limits, in-progress claims) and overflow releases put messages back on the queue without a send failure
+ * Messages are hidden rather than re-sent with a delay: FIFO queues have no per-message DelaySeconds, and a hidden
+ * message only holds back its own message group, which the producer makes one recipient (campaignProducer.buildEntry)
+ */
+class RetrySchedulerService {
+    constructor() {
+        this.maxFailures = config.retry?.maxFailures || 5;
+        this.maxDelaySeconds = config.retry?.maxDelaySeconds || 6 * 60 * 60;
+        this.defaultDelaySeconds = 60;
+        this.maxHistory = 10;
+    }
+
+    /**
+     * Delay before the next receive of a soft-failed message
+     * @param {Object} result - sendEmail result (retryAfterSeconds / verdict.backoffSeconds)
+     * @param {number} failureCount - Failed deliveries of the message, including the current one
+     */
+    getRetryDelay(result, failureCount) {
+        const base = result.retryAfterSeconds || result.verdict?.backoffSeconds || this.defaultDelaySeconds;
+        return Math.min(base * 2 ** Math.max(0, failureCount - 1), this.maxDelaySeconds, 43200);
+    }
+
+    /**
+     * Failed deliveries of a message, including the current one
+     * The ledger records the current failure before it is scheduled; at least 1 if the ledger is unavailable
+     */
+    async getFailureCount(parsedMessage) {
+        const failures = await deliveryService.getFailures(parsedMessage);
+        return Math.max(1, failures.length);
+    }
+
+    /**
+     * Hide a deferred message (quiet hours, pause, rate limit, in-progress claim) until it may be sent
+     * Deferrals are not failures: they don't count towards maxFailures
+     * @param {Object} parsedMessage - Parsed SQS message (receiptHandle, messageId, to)
+     * @param {Object} result - sendEmail result (reason, retryAfterSeconds)
+     * @param {Object} [context] - Extra log fields (e.g. workerId)
+     */
+    async defer(parsedMessage, result, context = {}) {
+        const { receiptHandle, messageId, to } = parsedMessage;
+
+        try {
+            await sqsService.changeMessageVisibility(receiptHandle, result.retryAfterSeconds);
+        } catch (error) {
+            logger.error({ error: error.message, messageId }, 'Failed to defer message');
+        }
+
+        logger.info({
+            ...context,
+            messageId,
+            to,
+            reason: result.reason,
+            retryAfterSeconds: result.retryAfterSeconds,
+        }, 'Email deferred');
+    }
+
+    /**
+     * Schedule the next attempt of a soft-failed message, or dead-letter it after maxFailures
+     * @param {Object} parsedMessage - Parsed SQS message (receiptHandle, receiveCount, ...)
+     * @param {Object} result - sendEmail result
+     * @param {string} body - Original message body
+     * @param {Object} [attributes] - Original message attributes
+     * @returns {Promise<{deadLettered: boolean, failureCount: number, retryAfterSeconds?: number}>}
+     */
+    async scheduleRetry(parsedMessage, result, body, attributes = {}) {
+        const failureCount = await this.getFailureCount(parsedMessage);
+
+        if (failureCount >= this.maxFailures) {
+            await this.deadLetter(parsedMessage, result, body, attributes, `Max failures (${this.maxFailures}) reached`);
+            return { deadLettered: true, failureCount };
+        }
+
+        const retryAfterSeconds = this.getRetryDelay(result, failureCount);
+        await sqsService.changeMessageVisibility(parsedMessage.receiptHandle, retryAfterSeconds);
+        await deliveryService.recordRetryScheduled(parsedMessage, retryAfterSeconds);
+        metrics.increment('retriesScheduled');
+
+        return { deadLettered: false, failureCount, retryAfterSeconds };
+    }
+
+    /**
+     * Failure history of a message: the delivery ledger's failures, or the current failure
+     */
+    async getFailureHistory(parsedMessage, result) {
+        const failures = await deliveryService.getFailures(parsedMessage);
+        const history = failures.length > 0
+            ? failures
+            : [{ at: new Date(), attempt: result.attempt || 0, responseCode: result.responseCode || null, response: result.error || '' }];
+
+        return history.slice(-this.maxHistory).map(failure => ({
+            at: failure.at,
+            attempt: failure.attempt,
+            responseCode: failure.responseCode,
+            enhancedStatus: failure.enhancedStatus || undefined,
+            category: failure.category || undefined,
+            response: String(failure.response || '').substring(0, 300),
+        }));
+    }
+
+    /**
+     * Move a message to the DLQ with its failure history, then delete it from the main queue
+     * @param {string} reason - Why the message is dead-lettered
+     */
+    async deadLetter(parsedMessage, result, body, attributes = {}, reason = 'Permanent failure') {
+        const failureHistory = await this.getFailureHistory(parsedMessage, result);
+
+        await sqsService.sendToDLQ(body, {
+            ...attributes,
+            dlqReason: reason,
+            receiveCount: String(parsedMessage.receiveCount || 1),
+            failureHistory: JSON.stringify(failureHistory),
+        });
+        metrics.increment('dlqMessages');
+        await sqsService.deleteMessage(parsedMessage.receiptHandle);
+        await deliveryService.recordDeadLettered(parsedMessage, reason);
+
+        logger.warn({
+            messageId: parsedMessage.messageId,
+            to: parsedMessage.to,
+            reason,
+            failures: failureHistory.length,
+        }, 'Message moved to DLQ');
+    }
+}
+
+module.exports = new RetrySchedulerService();
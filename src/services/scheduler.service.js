@@ -0,0 +1,544 @@
+const os = require('os');
+const crypto = require('crypto');
+const Campaign = require('../models/campaign.model');
+const CampaignSend = require('../models/campaignSend.model');
+const WaveRecipient = require('../models/waveRecipient.model');
+const campaignProducer = require('./campaignProducer.service');
+const { nextLocalOccurrence } = require('../utils/timezone');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Scheduler for CampaignSend.isScheduled / scheduleTime
+ * Claims due sends atomically so concurrent Lambdas never launch the same campaign
+ */
+class SchedulerService {
+    constructor() {
+        this.claimLeaseMs = (config.scheduler?.claimLeaseMinutes || 15) * 60 * 1000;
+        this.catchUpWindowMs = (config.scheduler?.catchUpWindowHours || 24) * 60 * 60 * 1000;
+        this.maxAttempts = config.scheduler?.maxAttempts || 3;
+        this.retryBaseDelayMs = 60 * 1000; // Doubled per failed launch
+        this.retryMaxDelayMs = this.claimLeaseMs;
+        this.maxClaimsPerRun = 10; // Bound work per cron tick
+        this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        this.interval = null;
+        this.isRunningTick = false;
+    }
+
+    /**
+     * Filter for scheduled sends that are due (including stale claims from crashed workers)
+     * Sends waiting out a retry backoff (nextAttemptAt in the future) are not due yet
+     */
+    getDueFilter(now) {
+        return {
+            isScheduled: true,
+            scheduleTime: { $lte: now },
+            $or: [
+                { scheduleStatus: 'pending', nextAttemptAt: { $not: { $gt: now } } },
+                { scheduleStatus: { $exists: false } },
+                { scheduleStatus: 'processing', claimedAt: { $lt: new Date(now.getTime() - this.claimLeaseMs) } },
+            ],
+        };
+    }
+
+    /**
+     * Delay before the next launch attempt of a send
+     * @param {number} attempts - Launch attempts so far
+     */
+    getRetryDelayMs(attempts) {
+        return Math.min(this.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1), this.retryMaxDelayMs);
+    }
+
+    /**
+     * Atomically claim the oldest due send
+     */
+    async claimNext(now = new Date()) {
+        return CampaignSend.findOneAndUpdate(
+            this.getDueFilter(now),
+            {
+                $set: {
+                    scheduleStatus: 'processing',
+                    claimedAt: now,
+                    claimedBy: this.instanceId,
+                },
+                $inc: { attempts: 1 },
+            },
+            { sort: { scheduleTime: 1 }, new: true }
+        ).lean();
+    }
+
+    /**
+     * Mark a claimed send with its final (or retry) state
+     */
+    async updateClaimed(campaignSend, update) {
+        await CampaignSend.updateOne(
+            { _id: campaignSend._id, claimedBy: this.instanceId },
+            { $set: update }
+        );
+    }
+
+    /**
+     * Launch a single claimed send
+     */
+    async launch(campaignSend, now) {
+        const lateByMs = now.getTime() - new Date(campaignSend.scheduleTime).getTime();
+
+        // Catch-up: sends missed during downtime still go out, unless they are too old
+        if (lateByMs > this.catchUpWindowMs) {
+            logger.warn({
+                campaignSendId: campaignSend._id,
+                scheduleTime: campaignSend.scheduleTime,
+            }, 'Scheduled send is outside catch-up window, marking as missed');
+
+            await this.updateClaimed(campaignSend, { scheduleStatus: 'missed', completedAt: now });
+            return { campaignSendId: String(campaignSend._id), status: 'missed' };
+        }
+
+        if (lateByMs > 2 * 60 * 1000) {
+            logger.info({
+                campaignSendId: campaignSend._id,
+                lateBySeconds: Math.floor(lateByMs / 1000),
+            }, 'Catching up missed scheduled send');
+        }
+
+        try {
+            if (campaignSend.localSendTime) {
+                return await this.planWaves(campaignSend);
+            }
+
+            const result = await campaignProducer.enqueueCampaignSend(campaignSend);
+
+            if (result.skipped) {
+                await this.updateClaimed(campaignSend, {
+                    scheduleStatus: 'failed',
+                    lastError: `Fan-out skipped: ${result.reason}`,
+                    completedAt: new Date(),
+                });
+                return { campaignSendId: String(campaignSend._id), status: 'skipped', reason: result.reason };
+            }
+
+            if (result.partial) {
+                // Retried like a failed launch; the campaign stays InProgress for this send to resume
+                throw new Error(`Fan-out incomplete: ${result.failed} of ${result.recipients} recipients could not be enqueued`);
+            }
+
+            await this.updateClaimed(campaignSend, {
+                scheduleStatus: 'completed',
+                completedAt: new Date(),
+                lastError: null,
+                nextAttemptAt: null,
+            });
+
+            return { campaignSendId: String(campaignSend._id), status: 'completed', enqueued: result.enqueued };
+        } catch (error) {
+            const exhausted = campaignSend.attempts >= this.maxAttempts;
+            const nextAttemptAt = exhausted ? null : new Date(Date.now() + this.getRetryDelayMs(campaignSend.attempts));
+
+            await this.updateClaimed(campaignSend, {
+                scheduleStatus: exhausted ? 'failed' : 'pending',
+                lastError: error.message,
+                claimedAt: null,
+                claimedBy: null,
+                nextAttemptAt,
+            });
+
+            logger.error({
+                campaignSendId: campaignSend._id,
+                attempts: campaignSend.attempts,
+                willRetry: !exhausted,
+                nextAttemptAt,
+                error: error.message,
+            }, 'Failed to launch scheduled send');
+
+            return { campaignSendId: String(campaignSend._id), status: exhausted ? 'failed' : 'retry', error: error.message };
+        }
+    }
+
+    /**
+     * Store the wave (time zone) of every recipient of a send
+     * Replaces the rows of an earlier planning attempt
+     */
+    async saveWaveRecipients(campaignSend, recipients) {
+        await WaveRecipient.deleteMany({ campaignSendId: campaignSend._id });
+
+        for (let i = 0; i < recipients.length; i += campaignProducer.lookupChunkSize) {
+            const rows = recipients.slice(i, i + campaignProducer.lookupChunkSize).map(recipient => ({
+                campaignSendId: campaignSend._id,
+                timezone: recipient.timezone,
+                email: recipient.email,
+                contactId: recipient.contact?._id || null,
+            }));
+            await WaveRecipient.insertMany(rows, { ordered: false });
+        }
+    }
+
+    /**
+     * Recipients assigned to a wave when it was planned
+     */
+    async loadWaveRecipients(campaignSend, wave) {
+        const rows = await WaveRecipient.find({ campaignSendId: campaignSend._id, timezone: wave.timezone })
+            .select('email contactId timezone')
+            .lean();
+
+        return rows.map(row => ({
+            email: row.email,
+            contact: row.contactId ? { _id: row.contactId } : null,
+            timezone: row.timezone,
+        }));
+    }
+
+    /**
+     * Plan per-time-zone release waves for a "send at HH:mm local time" campaign
+     * Each zone is released at the first local HH:mm at or after the send's scheduleTime; recipients are
+     * assigned to their wave here, so releases don't reload or re-resolve them
+     */
+    async planWaves(campaignSend) {
+        const campaign = await campaignProducer.claimCampaign(campaignSend);
+        if (!campaign) {
+            await this.updateClaimed(campaignSend, {
+                scheduleStatus: 'failed',
+                lastError: 'Fan-out skipped: campaign_status',
+                completedAt: new Date(),
+            });
+            return { campaignSendId: String(campaignSend._id), status: 'skipped', reason: 'campaign_status' };
+        }
+
+        try {
+            const recipients = await campaignProducer.loadRecipients(campaignSend);
+            await this.saveWaveRecipients(campaignSend, recipients);
+
+            const zoneCounts = new Map();
+            recipients.forEach((recipient) => {
+                zoneCounts.set(recipient.timezone, (zoneCounts.get(recipient.timezone) || 0) + 1);
+            });
+
+            const scheduleTime = new Date(campaignSend.scheduleTime);
+            const waves = [...zoneCounts.entries()]
+                .map(([timezone, count]) => ({
+                    timezone,
+                    releaseAt: nextLocalOccurrence(campaignSend.localSendTime, timezone, scheduleTime),
+                    status: 'pending',
+                    recipients: count,
+                }))
+                .sort((a, b) => a.releaseAt - b.releaseAt);
+
+            await this.updateClaimed(campaignSend, {
+                waves,
+                scheduleStatus: 'releasing',
+                claimedAt: null,
+                claimedBy: null,
+            });
+
+            logger.info({
+                campaignSendId: campaignSend._id,
+                localSendTime: campaignSend.localSendTime,
+                waves: waves.map(w => ({ timezone: w.timezone, releaseAt: w.releaseAt, recipients: w.recipients })),
+            }, 'Planned time zone waves for scheduled send');
+
+            if (waves.length === 0) {
+                await this.completeWaves(campaignSend._id);
+            }
+
+            return { campaignSendId: String(campaignSend._id), status: 'releasing', waves: waves.length };
+        } catch (error) {
+            await campaignProducer.restoreCampaign(campaignSend, campaign.status);
+            throw error;
+        }
+    }
+
+    /**
+     * Filter for waves that are due: pending and past their release time, or left releasing by a crashed worker
+     */
+    getDueWaveFilter(now) {
+        return {
+            $or: [
+                { status: 'pending', releaseAt: { $lte: now } },
+                { status: 'releasing', claimedAt: { $lt: new Date(now.getTime() - this.claimLeaseMs) } },
+            ],
+        };
+    }
+
+    /**
+     * Atomically claim the next due wave of a releasing send
+     * The wave stays "releasing" under a lease until its recipients are enqueued; recipients enqueued
+     * again after a takeover are dropped by their idempotency key
+     */
+    async claimNextWave(now = new Date()) {
+        const campaignSend = await CampaignSend.findOne({
+            scheduleStatus: 'releasing',
+            waves: { $elemMatch: this.getDueWaveFilter(now) },
+        }).lean();
+
+        if (!campaignSend) {
+            return null;
+        }
+
+        const staleBefore = now.getTime() - this.claimLeaseMs;
+        const wave = campaignSend.waves
+            .filter(w => (w.status === 'pending' && new Date(w.releaseAt) <= now)
+                || (w.status === 'releasing' && new Date(w.claimedAt).getTime() < staleBefore))
+            .sort((a, b) => a.releaseAt - b.releaseAt)[0];
+
+        // Only one instance can move the wave from its current state (or stale lease) to releasing
+        const result = await CampaignSend.updateOne(
+            {
+                _id: campaignSend._id,
+                scheduleStatus: 'releasing',
+                waves: { $elemMatch: { _id: wave._id, status: wave.status, claimedAt: wave.claimedAt ?? null } },
+            },
+            { $set: { 'waves.$.status': 'releasing', 'waves.$.claimedAt': now } }
+        );
+
+        if (result.modifiedCount !== 1) {
+            return { campaignSend: null, wave: null };
+        }
+
+        if (wave.status === 'releasing') {
+            logger.warn({ campaignSendId: campaignSend._id, timezone: wave.timezone }, 'Taking over stale time zone wave release');
+        }
+
+        return { campaignSend, wave: { ...wave, status: 'releasing', claimedAt: now } };
+    }
+
+    /**
+     * Move a claimed wave to released, or back to pending, if this instance still holds its lease
+     */
+    async updateClaimedWave(campaignSend, wave, update) {
+        const fields = Object.fromEntries(Object.entries(update).map(([name, value]) => [`waves.$.${name}`, value]));
+        await CampaignSend.updateOne(
+            { _id: campaignSend._id, waves: { $elemMatch: { _id: wave._id, status: 'releasing', claimedAt: wave.claimedAt } } },
+            { $set: fields }
+        );
+    }
+
+    /**
+     * Mark a releasing send as completed once all of its waves are released
+     */
+    async completeWaves(campaignSendId) {
+        const completed = await CampaignSend.findOneAndUpdate(
+            { _id: campaignSendId, scheduleStatus: 'releasing', 'waves.status': { $nin: ['pending', 'releasing'] } },
+            { $set: { scheduleStatus: 'completed', completedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (completed) {
+            await campaignProducer.markCampaignSent(completed);
+            logger.info({ campaignSendId }, 'All time zone waves released');
+        }
+    }
+
+    /**
+     * Release all due time zone waves
+     */
+    async releaseDueWaves() {
+        const results = [];
+
+        for (let i = 0; i < this.maxClaimsPerRun; i++) {
+            const claimed = await this.claimNextWave(new Date());
+            if (!claimed) {
+                break;
+            }
+
+            const { campaignSend, wave } = claimed;
+            if (!campaignSend) {
+                // Another instance released this wave first
+                continue;
+            }
+
+            try {
+                const recipients = await this.loadWaveRecipients(campaignSend, wave);
+                const { enqueued, failed } = await campaignProducer.enqueueRecipients(campaignSend, recipients);
+                if (failed > 0) {
+                    throw new Error(`${failed} of ${recipients.length} recipients could not be enqueued`);
+                }
+
+                await this.updateClaimedWave(campaignSend, wave, { status: 'released', releasedAt: new Date(), claimedAt: null });
+                await WaveRecipient.deleteMany({ campaignSendId: campaignSend._id, timezone: wave.timezone });
+
+                logger.info({
+                    campaignSendId: campaignSend._id,
+                    timezone: wave.timezone,
+                    enqueued,
+                    failed,
+                }, 'Released time zone wave');
+
+                results.push({ campaignSendId: String(campaignSend._id), timezone: wave.timezone, enqueued, failed });
+
+                await this.completeWaves(campaignSend._id);
+            } catch (error) {
+                // Put the wave back so the next run retries it
+                await this.updateClaimedWave(campaignSend, wave, { status: 'pending', claimedAt: null });
+
+                logger.error({
+                    campaignSendId: campaignSend._id,
+                    timezone: wave.timezone,
+                    error: error.message,
+                }, 'Failed to release time zone wave');
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Find and launch all due scheduled sends
+     * Safe to call from every cron-triggered Lambda invocation
+     */
+    async runDueSends() {
+        const results = [];
+
+        for (let i = 0; i < this.maxClaimsPerRun; i++) {
+            const now = new Date();
+            const campaignSend = await this.claimNext(now);
+            if (!campaignSend) {
+                break;
+            }
+
+            logger.info({
+                campaignSendId: campaignSend._id,
+                scheduleTime: campaignSend.scheduleTime,
+                instanceId: this.instanceId,
+            }, 'Claimed scheduled send');
+
+            results.push(await this.launch(campaignSend, now));
+        }
+
+        // Release time zone waves of localised sends that are already launched
+        results.push(...await this.releaseDueWaves());
+
+        if (results.length > 0) {
+            logger.info({ launched: results.length, results }, 'Scheduler run complete');
+        }
+
+        return results;
+    }
+
+    /**
+     * Cancel a pending scheduled send, or the waves not yet released of a releasing one
+     * @returns {Promise<boolean>} true if the send was cancelled
+     */
+    async cancel(campaignSendId) {
+        const campaignSend = await CampaignSend.findOneAndUpdate(
+            {
+                _id: campaignSendId,
+                $or: [{ scheduleStatus: { $in: ['pending', 'releasing'] } }, { scheduleStatus: { $exists: false } }],
+            },
+            { $set: { scheduleStatus: 'cancelled', completedAt: new Date(), 'waves.$[wave].status': 'cancelled' } },
+            { arrayFilters: [{ 'wave.status': 'pending' }], new: true }
+        ).lean();
+
+        if (!campaignSend) {
+            logger.warn({ campaignSendId }, 'Scheduled send not found or already launched, cannot cancel');
+            return false;
+        }
+
+        const cancelledZones = (campaignSend.waves || []).filter(w => w.status === 'cancelled').map(w => w.timezone);
+        if (cancelledZones.length > 0) {
+            await WaveRecipient.deleteMany({ campaignSendId: campaignSend._id, timezone: { $in: cancelledZones } });
+        }
+
+        // Waves already released (or being released) went out: the campaign is sent, only the later zones are skipped
+        if ((campaignSend.waves || []).some(w => w.status === 'released' || w.status === 'releasing')) {
+            await campaignProducer.markCampaignSent(campaignSend);
+        } else {
+            await Campaign.updateOne(
+                {
+                    _id: campaignSend.campaignId,
+                    $or: [{ status: 'Scheduled' }, { status: 'InProgress', campaignSendId: campaignSend._id }],
+                },
+                { $set: { status: 'Draft' } }
+            );
+        }
+
+        logger.info({ campaignSendId, cancelledWaves: cancelledZones.length }, 'Scheduled send cancelled');
+        return true;
+    }
+
+    /**
+     * Reschedule a pending or cancelled send
+     * @returns {Promise<boolean>} true if the send was rescheduled
+     */
+    async reschedule(campaignSendId, scheduleTime) {
+        const time = new Date(scheduleTime);
+        if (Number.isNaN(time.getTime())) {
+            throw new Error(`Invalid schedule time: ${scheduleTime}`);
+        }
+
+        const campaignSend = await CampaignSend.findOneAndUpdate(
+            {
+                _id: campaignSendId,
+                $or: [
+                    { scheduleStatus: { $in: ['pending', 'cancelled', 'missed'] } },
+                    { scheduleStatus: { $exists: false } },
+                ],
+            },
+            {
+                $set: {
+                    isScheduled: true,
+                    scheduleTime: time,
+                    scheduleStatus: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: null,
+                    claimedAt: null,
+                    claimedBy: null,
+                    completedAt: null,
+                    lastError: null,
+                },
+            },
+            { new: true }
+        ).lean();
+
+        if (!campaignSend) {
+            logger.warn({ campaignSendId }, 'Scheduled send not found or already launched, cannot reschedule');
+            return false;
+        }
+
+        await Campaign.updateOne(
+            { _id: campaignSend.campaignId, status: 'Draft' },
+            { $set: { status: 'Scheduled' } }
+        );
+
+        logger.info({ campaignSendId, scheduleTime: time }, 'Scheduled send rescheduled');
+        return true;
+    }
+
+    /**
+     * Start periodic scheduler runs (standalone mode)
+     */
+    start(intervalSeconds = 60) {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        const tick = async () => {
+            if (this.isRunningTick) {
+                return;
+            }
+            this.isRunningTick = true;
+            try {
+                await this.runDueSends();
+            } catch (error) {
+                logger.error({ error: error.message, stack: error.stack }, 'Scheduler run failed');
+            } finally {
+                this.isRunningTick = false;
+            }
+        };
+
+        this.interval = setInterval(tick, intervalSeconds * 1000);
+        tick();
+
+        logger.info({ intervalSeconds, instanceId: this.instanceId }, 'Scheduler started');
+    }
+
+    /**
+     * Stop periodic scheduler runs
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+module.exports = new SchedulerService();
@@ -3,6 +3,13 @@ const sqsService = require('./sqs.service');
 const metrics = require('./metrics.service');
 const emailService = require('./email.service');
 const rateLimiter = require('./rateLimiter.service');
+const domainPolicy = require('./domainPolicy.service');
+const mxResolver = require('./mxResolver.service');
+const scheduler = require('./scheduler.service');
+const bounceProcessor = require('./bounceProcessor.service');
+const suppressionService = require('./suppression.service');
+const campaignPause = require('./campaignPause.service');
+const idempotencyService = require('./idempotency.service');
 const logger = require('../config/logger');
 const config = require('../config/config');
 
@@ -31,6 +38,10 @@ class SMTPEmailService {
             // Initialize SQS
             await sqsService.initialize();
 
+            // Load domain sending policies before any send, then keep them fresh
+            await domainPolicy.reload();
+            domainPolicy.start(config.domainPolicy?.reloadInterval || 60);
+
             // Configure worker pool
             const workerPoolOptions = {
                 maxWorkers: options.maxWorkers || config.workerPool?.maxWorkers || 10,
@@ -48,6 +59,12 @@ class SMTPEmailService {
             // Start worker pool
             await workerPool.start();
 
+            // Start scheduled campaign launcher
+            scheduler.start(config.scheduler?.interval || 60);
+
+            // Start bounce ingestion (no-op unless BOUNCE_SOURCE is configured)
+            bounceProcessor.start(config.bounce?.pollInterval || 60);
+
             this.isRunning = true;
 
             // Setup graceful shutdown
@@ -80,6 +97,11 @@ class SMTPEmailService {
         logger.info('Stopping SMTP Email Processing Service');
 
         try {
+            // Stop scheduler before workers so no new sends are launched
+            scheduler.stop();
+            bounceProcessor.stop();
+            domainPolicy.stop();
+
             // Stop worker pool
             await workerPool.stop();
 
@@ -126,14 +148,17 @@ class SMTPEmailService {
      * Start periodic cleanup tasks
      */
     startCleanupInterval() {
-        // Cleanup processed messages every hour
+        // Cleanup expired idempotency keys every hour (in-memory store; Mongo uses a TTL index)
         setInterval(() => {
-            emailService.cleanupProcessedMessages();
+            idempotencyService.cleanup();
         }, 60 * 60 * 1000);
 
-        // Cleanup rate limiter every 5 minutes
+        // Cleanup rate limiter, MX, suppression and campaign pause caches every 5 minutes
         setInterval(() => {
             rateLimiter.cleanup();
+            mxResolver.cleanup();
+            suppressionService.cleanup();
+            campaignPause.cleanup();
         }, 5 * 60 * 1000);
     }
 
@@ -147,23 +172,36 @@ class SMTPEmailService {
             metrics: metrics.getMetrics(),
             emailService: emailService.getStats(),
             rateLimiter: rateLimiter.getStats(),
+            domainPolicy: domainPolicy.getStats(),
+            mxResolver: mxResolver.getStats(),
+            suppression: suppressionService.getStats(),
+            bounces: bounceProcessor.getStats(),
         };
     }
 
     /**
      * Pause processing (useful for maintenance)
+     * With a campaignId only that campaign is paused; its queued messages are deferred until resumed
      */
-    pause() {
+    pause(campaignId = null, reason = '') {
+        if (campaignId) {
+            return campaignPause.pause(campaignId, reason);
+        }
         workerPool.pause();
         logger.info('SMTP service paused');
+        return true;
     }
 
     /**
-     * Resume processing
+     * Resume processing (or a single paused campaign)
      */
-    resume() {
+    resume(campaignId = null) {
+        if (campaignId) {
+            return campaignPause.resume(campaignId);
+        }
         workerPool.resume();
         logger.info('SMTP service resumed');
+        return true;
     }
 
     /**
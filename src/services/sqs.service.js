@@ -30,6 +30,12 @@ class SQSService {
                 }
             });
             this.queueUrl = null;
+            // Visibility timeout requested on receive (queue default when unset; SQS default is 30s)
+            this.visibilityTimeout = config.aws.SQS_VISIBILITY_TIMEOUT || null;
+
+            // Visibility heartbeats of in-flight messages, by receipt handle
+            this.heartbeats = new Map();
+            this.heartbeatMaxSeconds = config.aws.SQS_HEARTBEAT_MAX_SECONDS || 1800;
         } catch (error) {
             logger.error({ error: error.message }, 'Failed to initialize SQS client');
             throw error;
@@ -85,6 +91,9 @@ class SQSService {
                 MessageAttributeNames: ['All'],
                 AttributeNames: ['All'],
             };
+            if (this.visibilityTimeout) {
+                params.VisibilityTimeout = this.visibilityTimeout;
+            }
 
             const response = await this.sqs.receiveMessage(params).promise();
 
@@ -102,6 +111,13 @@ class SQSService {
         }
     }
 
+    /**
+     * Visibility timeout (seconds) of received messages
+     */
+    getVisibilityTimeout() {
+        return this.visibilityTimeout || 30;
+    }
+
     /**
      * Delete a message from the queue after successful processing
      * @param {string} receiptHandle - Message receipt handle
@@ -125,6 +141,217 @@ class SQSService {
         }
     }
 
+    /**
+     * Change visibility timeout of an in-flight message
+     * @param {string} receiptHandle - Message receipt handle
+     * @param {number} visibilityTimeout - Seconds until the message becomes visible again (0-43200)
+     */
+    async changeMessageVisibility(receiptHandle, visibilityTimeout) {
+        if (!this.queueUrl) {
+            await this.initialize();
+        }
+
+        try {
+            const params = {
+                QueueUrl: this.queueUrl,
+                ReceiptHandle: receiptHandle,
+                VisibilityTimeout: Math.max(0, Math.min(Math.ceil(visibilityTimeout), 43200)),
+            };
+
+            await this.sqs.changeMessageVisibility(params).promise();
+            logger.debug({ receiptHandle, visibilityTimeout: params.VisibilityTimeout }, 'Changed message visibility');
+        } catch (error) {
+            logger.error({ error: error.message, receiptHandle }, 'Failed to change message visibility');
+            throw error;
+        }
+    }
+
+    /**
+     * Keep an in-flight message invisible while it is being worked on
+     * Extends visibility by the visibility timeout every half timeout, until stopped
+     * or until heartbeatMaxSeconds after the start (then the message is left to expire
+     * and SQS redelivers it)
+     * @param {string} receiptHandle - Message receipt handle
+     * @returns {Object} Heartbeat ({ receiptHandle, startedAt, extensions })
+     */
+    startHeartbeat(receiptHandle) {
+        if (!receiptHandle) {
+            return null;
+        }
+        if (this.heartbeats.has(receiptHandle)) {
+            return this.heartbeats.get(receiptHandle);
+        }
+
+        const visibilityTimeout = this.getVisibilityTimeout();
+        const heartbeat = {
+            receiptHandle,
+            startedAt: Date.now(),
+            extensions: 0,
+            timer: null,
+            pending: null,
+        };
+
+        const beat = async () => {
+            const remainingSeconds = Math.floor(this.heartbeatMaxSeconds - (Date.now() - heartbeat.startedAt) / 1000);
+            if (remainingSeconds <= 0) {
+                logger.warn({ receiptHandle, maxSeconds: this.heartbeatMaxSeconds }, 'Visibility heartbeat cap reached');
+                this.stopHeartbeat(receiptHandle);
+                return;
+            }
+
+            try {
+                heartbeat.pending = this.changeMessageVisibility(receiptHandle, Math.min(visibilityTimeout, remainingSeconds));
+                await heartbeat.pending;
+                heartbeat.extensions++;
+            } catch (error) {
+                // Receipt handle no longer valid (message deleted or already visible again)
+                if (error.code === 'ReceiptHandleIsInvalid' || error.code === 'MessageNotInflight') {
+                    this.stopHeartbeat(receiptHandle);
+                }
+            }
+        };
+
+        heartbeat.timer = setInterval(beat, Math.max(1000, (visibilityTimeout * 1000) / 2));
+        heartbeat.timer.unref();
+        this.heartbeats.set(receiptHandle, heartbeat);
+
+        return heartbeat;
+    }
+
+    /**
+     * Stop extending visibility of a message (await before deleting or deferring it,
+     * so an extension still in flight can't override the new visibility)
+     * @param {string} receiptHandle - Message receipt handle
+     */
+    async stopHeartbeat(receiptHandle) {
+        const heartbeat = this.heartbeats.get(receiptHandle);
+        if (!heartbeat) {
+            return;
+        }
+
+        clearInterval(heartbeat.timer);
+        this.heartbeats.delete(receiptHandle);
+
+        if (heartbeat.pending) {
+            await heartbeat.pending.catch(() => {});
+        }
+    }
+
+    /**
+     * Stop all heartbeats
+     */
+    stopAllHeartbeats() {
+        return Promise.all([...this.heartbeats.keys()].map(receiptHandle => this.stopHeartbeat(receiptHandle)));
+    }
+
+    /**
+     * Get heartbeat statistics
+     */
+    getHeartbeatStats() {
+        return {
+            active: this.heartbeats.size,
+            maxSeconds: this.heartbeatMaxSeconds,
+            visibilityTimeout: this.getVisibilityTimeout(),
+        };
+    }
+
+    /**
+     * Check if the main queue is a FIFO queue
+     */
+    isFifoQueue() {
+        return (this.queueUrl || config.aws.SQS_QUEUE_NAME || '').endsWith('.fifo');
+    }
+
+    /**
+     * Send up to 10 messages to the main queue in a single request
+     * @param {Array} entries - SendMessageBatch entries (Id, MessageBody, MessageGroupId, MessageDeduplicationId)
+     * @returns {Promise<{successful: Array, failed: Array}>}
+     */
+    async sendMessageBatch(entries) {
+        if (!this.queueUrl) {
+            await this.initialize();
+        }
+
+        try {
+            const params = {
+                QueueUrl: this.queueUrl,
+                Entries: entries.slice(0, 10),
+            };
+
+            const response = await this.sqs.sendMessageBatch(params).promise();
+
+            logger.debug({
+                successful: response.Successful?.length || 0,
+                failed: response.Failed?.length || 0,
+            }, 'Sent message batch to SQS');
+
+            return {
+                successful: response.Successful || [],
+                failed: response.Failed || [],
+            };
+        } catch (error) {
+            logger.error({ error: error.message, entryCount: entries.length }, 'Failed to send message batch to SQS');
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve a queue name (or URL) to a queue URL
+     * Used for auxiliary queues such as the bounce queue
+     * @param {string} nameOrUrl - Queue name or URL
+     * @returns {Promise<string>}
+     */
+    async resolveQueueUrl(nameOrUrl) {
+        if (nameOrUrl.startsWith('https://')) {
+            return nameOrUrl;
+        }
+
+        try {
+            const response = await this.sqs.getQueueUrl({ QueueName: nameOrUrl }).promise();
+            return response.QueueUrl;
+        } catch (apiError) {
+            logger.warn({ queueName: nameOrUrl, error: apiError.message }, 'Failed to get queue URL from API, constructing manually');
+            return `https://sqs.${config.aws.CUSTOM_AWS_REGION}.amazonaws.com/${config.aws.CUSTOM_AWS_ACCOUNT_ID || ''}/${nameOrUrl}`;
+        }
+    }
+
+    /**
+     * Receive raw messages from an auxiliary queue
+     * @param {string} queueUrl - Queue URL
+     * @param {number} maxMessages - Maximum number of messages to receive (1-10)
+     * @param {number} waitTimeSeconds - Long poll wait time (0-20 seconds)
+     * @returns {Promise<Array>} Array of SQS messages
+     */
+    async receiveFromQueue(queueUrl, maxMessages = 10, waitTimeSeconds = 0) {
+        try {
+            const response = await this.sqs.receiveMessage({
+                QueueUrl: queueUrl,
+                MaxNumberOfMessages: Math.min(maxMessages, 10),
+                WaitTimeSeconds: waitTimeSeconds,
+                AttributeNames: ['ApproximateReceiveCount'],
+            }).promise();
+
+            return response.Messages || [];
+        } catch (error) {
+            logger.error({ error: error.message, queueUrl }, 'Failed to receive messages from SQS');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a message from an auxiliary queue
+     * @param {string} queueUrl - Queue URL
+     * @param {string} receiptHandle - Message receipt handle
+     */
+    async deleteFromQueue(queueUrl, receiptHandle) {
+        try {
+            await this.sqs.deleteMessage({ QueueUrl: queueUrl, ReceiptHandle: receiptHandle }).promise();
+        } catch (error) {
+            logger.error({ error: error.message, queueUrl, receiptHandle }, 'Failed to delete message from SQS');
+            throw error;
+        }
+    }
+
     /**
      * Send message to dead-letter queue
      * @param {Object} messageBody - Message body to send
@@ -188,6 +415,7 @@ class SQSService {
             return {
                 receiptHandle: sqsMessage.ReceiptHandle,
                 messageId: sqsMessage.MessageId,
+                receiveCount: Number(sqsMessage.Attributes?.ApproximateReceiveCount) || 1,
                 body: body,
                 to: getAttributeValue(attributes.to) || body.to,
                 subject: getAttributeValue(attributes.subject) || body.subject,
@@ -0,0 +1,187 @@
+const Suppression = require('../models/suppression.model');
+const UnSubscribe = require('../models/unSubscribe.model');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Suppression list service
+ * Covers unsubscribes (UnSubscribe collection), hard bounces, complaints and manual blocks
+ * Lookups are cached in memory so the check stays cheap at full send rate
+ */
+class SuppressionService {
+    constructor() {
+        this.cache = new Map();
+        this.cacheTtl = (config.suppression?.cacheTtlSeconds || 300) * 1000;
+        this.maxCacheSize = 100000;
+        this.lookupChunkSize = 1000;
+    }
+
+    /**
+     * Normalize email for lookups
+     */
+    normalize(email) {
+        return typeof email === 'string' ? email.trim().toLowerCase() : '';
+    }
+
+    /**
+     * Get cached lookup result (null if missing or expired)
+     */
+    getCached(email) {
+        const entry = this.cache.get(email);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.cache.delete(email);
+            return null;
+        }
+        return entry.result;
+    }
+
+    /**
+     * Cache a lookup result (evicts oldest entries when full)
+     */
+    setCached(email, result) {
+        if (this.cache.size >= this.maxCacheSize) {
+            const oldest = this.cache.keys().next().value;
+            this.cache.delete(oldest);
+        }
+        this.cache.delete(email);
+        this.cache.set(email, { result, expiresAt: Date.now() + this.cacheTtl });
+    }
+
+    /**
+     * Check if an address is suppressed
+     * @returns {Promise<{suppressed: boolean, reason: string|null}>}
+     */
+    async check(email) {
+        const normalized = this.normalize(email);
+        if (!normalized) {
+            return { suppressed: false, reason: null };
+        }
+
+        const cached = this.getCached(normalized);
+        if (cached) {
+            return cached;
+        }
+
+        const [unsubscribed, suppression] = await Promise.all([
+            UnSubscribe.exists({ email: normalized }),
+            Suppression.findOne({ email: normalized }).select('reason').lean(),
+        ]);
+
+        let result = { suppressed: false, reason: null };
+        if (suppression) {
+            result = { suppressed: true, reason: suppression.reason };
+        } else if (unsubscribed) {
+            result = { suppressed: true, reason: 'unsubscribe' };
+        }
+
+        this.setCached(normalized, result);
+        return result;
+    }
+
+    /**
+     * Check if an address is suppressed
+     */
+    async isSuppressed(email) {
+        const { suppressed } = await this.check(email);
+        return suppressed;
+    }
+
+    /**
+     * Bulk lookup for fan-out
+     * @param {string[]} emails - Normalized email addresses
+     * @returns {Promise<Set<string>>} Suppressed addresses
+     */
+    async getSuppressedSet(emails) {
+        const suppressed = new Set();
+
+        for (let i = 0; i < emails.length; i += this.lookupChunkSize) {
+            const chunk = emails.slice(i, i + this.lookupChunkSize);
+            const [unsubscribes, suppressions] = await Promise.all([
+                UnSubscribe.find({ email: { $in: chunk } }).select('email').lean(),
+                Suppression.find({ email: { $in: chunk } }).select('email reason').lean(),
+            ]);
+
+            unsubscribes.forEach(entry => suppressed.add(entry.email));
+            suppressions.forEach((entry) => {
+                suppressed.add(entry.email);
+                this.setCached(entry.email, { suppressed: true, reason: entry.reason });
+            });
+        }
+
+        return suppressed;
+    }
+
+    /**
+     * Add an address to the suppression list
+     * @param {string} email
+     * @param {string} reason - unsubscribe | hard_bounce | complaint | manual
+     * @param {Object} [details] - source, campaignId, statsId, details
+     */
+    async suppress(email, reason, details = {}) {
+        const normalized = this.normalize(email);
+        if (!normalized) {
+            return;
+        }
+
+        await Suppression.updateOne(
+            { email: normalized },
+            {
+                $set: {
+                    reason,
+                    source: details.source || '',
+                    campaignId: details.campaignId || null,
+                    statsId: details.statsId || null,
+                    details: details.details || '',
+                },
+            },
+            { upsert: true }
+        );
+
+        this.setCached(normalized, { suppressed: true, reason });
+        logger.info({ email: normalized, reason, source: details.source }, 'Address suppressed');
+    }
+
+    /**
+     * Remove a (manual) suppression entry
+     */
+    async unsuppress(email) {
+        const normalized = this.normalize(email);
+        await Suppression.deleteOne({ email: normalized });
+        this.invalidate(normalized);
+        logger.info({ email: normalized }, 'Address removed from suppression list');
+    }
+
+    /**
+     * Drop a cached lookup result
+     */
+    invalidate(email) {
+        this.cache.delete(this.normalize(email));
+    }
+
+    /**
+     * Remove expired cache entries
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [email, entry] of this.cache.entries()) {
+            if (entry.expiresAt <= now) {
+                this.cache.delete(email);
+            }
+        }
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        return {
+            cacheSize: this.cache.size,
+            cacheTtlSeconds: this.cacheTtl / 1000,
+        };
+    }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,166 @@
+const he = require('he');
+const Campaign = require('../models/campaign.model');
+const Contact = require('../models/contact.model');
+const logger = require('../config/logger');
+
+// Matches {{ name }}, {{ name | fallback }} and the unescaped form {{{ name }}}
+const MERGE_TAG_PATTERN = /\{\{(\{)?\s*([\w.-]+)\s*(?:\|\s*([^}]*?)\s*)?\}?\}\}/g;
+
+/**
+ * Template rendering service for per-recipient mail-merge
+ * Renders subject, HTML and text bodies from a campaign template and contact variables
+ */
+class TemplateService {
+    constructor() {
+        // Campaign templates are shared by every recipient of a send, so cache them briefly
+        this.templateCache = new Map();
+        this.templateCacheTtl = 5 * 60 * 1000; // 5 minutes
+    }
+
+    /**
+     * Check if a message needs rendering before it is sent
+     */
+    requiresRendering(metadata = {}) {
+        return Boolean(metadata.templateId || metadata.contactId || metadata.variables);
+    }
+
+    /**
+     * Load campaign template (subject and htmlcontent) with caching
+     */
+    async getTemplate(templateId) {
+        const cached = this.templateCache.get(String(templateId));
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.template;
+        }
+
+        const campaign = await Campaign.findById(templateId).select('subject htmlcontent').lean();
+        if (!campaign) {
+            const error = new Error(`Template not found: ${templateId}`);
+            error.permanent = true;
+            throw error;
+        }
+
+        const template = { subject: campaign.subject, html: campaign.htmlcontent };
+        this.templateCache.set(String(templateId), {
+            template,
+            expiresAt: Date.now() + this.templateCacheTtl,
+        });
+
+        return template;
+    }
+
+    /**
+     * Load contact used as merge variable source
+     */
+    async getContact(contactId) {
+        if (!contactId) {
+            return null;
+        }
+        return Contact.findById(contactId).select('name email phoneno address customFields').lean();
+    }
+
+    /**
+     * Build merge variables from contact document and message-level variables
+     * Message-level variables take precedence over contact fields
+     */
+    buildVariables(to, contact = null, variables = {}) {
+        const name = contact?.name || variables.name || '';
+        const [firstName, ...rest] = name.trim().split(/\s+/);
+
+        return {
+            email: to,
+            name,
+            first_name: firstName || '',
+            last_name: rest.join(' '),
+            phoneno: contact?.phoneno || '',
+            address: contact?.address || '',
+            ...(contact?.customFields || {}),
+            ...variables,
+        };
+    }
+
+    /**
+     * Resolve a merge tag value (exact key first, then case-insensitive)
+     */
+    resolveVariable(variables, key) {
+        if (variables[key] !== undefined && variables[key] !== null) {
+            return variables[key];
+        }
+        const lowerKey = key.toLowerCase();
+        const match = Object.keys(variables).find(k => k.toLowerCase() === lowerKey);
+        return match !== undefined ? variables[match] : undefined;
+    }
+
+    /**
+     * Render merge tags in a template string
+     * @param {string} template - Template containing merge tags
+     * @param {Object} variables - Merge variables
+     * @param {Object} options
+     * @param {boolean} options.escape - HTML-escape substituted values
+     * @param {Object} options.fallbacks - Default values for missing variables
+     */
+    render(template, variables = {}, { escape = false, fallbacks = {} } = {}) {
+        if (!template || typeof template !== 'string') {
+            return '';
+        }
+
+        return template.replace(MERGE_TAG_PATTERN, (match, raw, key, inlineFallback) => {
+            let value = this.resolveVariable(variables, key);
+
+            if (value === undefined || value === null || value === '') {
+                value = inlineFallback !== undefined
+                    ? inlineFallback.replace(/^["']|["']$/g, '')
+                    : (fallbacks[key] !== undefined ? fallbacks[key] : '');
+            }
+
+            value = String(value);
+            return escape && !raw ? he.escape(value) : value;
+        });
+    }
+
+    /**
+     * Render subject, body and text for a single recipient
+     * The message content keeps its content type; campaign templates are HTML
+     * Merge values are HTML-escaped in HTML bodies only
+     * @param {string} [contentType] - Content type of content (html or text)
+     * @returns {Promise<{subject: string, content: string, contentType: string, text: string|undefined}>}
+     */
+    async renderForRecipient(to, subject, content, metadata = {}, contentType = 'html') {
+        const template = metadata.templateId ? await this.getTemplate(metadata.templateId) : null;
+        const contact = await this.getContact(metadata.contactId);
+
+        const variables = this.buildVariables(to, contact, metadata.variables || {});
+        const fallbacks = metadata.fallbacks || {};
+        // Non-string content (e.g. a raw message body) counts as missing
+        const body = typeof content === 'string' && content ? content : null;
+        const bodyType = body ? contentType : 'html';
+
+        const rendered = {
+            subject: this.render(subject || template?.subject, variables, { fallbacks }),
+            content: this.render(body || template?.html, variables, { escape: bodyType === 'html', fallbacks }),
+            contentType: bodyType,
+            text: metadata.text ? this.render(metadata.text, variables, { fallbacks }) : undefined,
+        };
+
+        logger.debug({
+            to,
+            templateId: metadata.templateId,
+            contactId: metadata.contactId,
+        }, 'Rendered email template');
+
+        return rendered;
+    }
+
+    /**
+     * Clear cached templates (e.g. after campaign content changes)
+     */
+    clearCache(templateId = null) {
+        if (templateId) {
+            this.templateCache.delete(String(templateId));
+        } else {
+            this.templateCache.clear();
+        }
+    }
+}
+
+module.exports = new TemplateService();
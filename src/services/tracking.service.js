@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const mongoose = require('mongoose');
+const Stats = require('../models/stats.model');
+const CampaignLink = require('../models/campaignLink.model');
+const { sign, verify } = require('../utils/signedToken');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// User agents of scanners/proxies that fetch images before (or without) the recipient opening the email
+const PREFETCH_USER_AGENTS = [
+    /barracuda/i,
+    /mimecast/i,
+    /proofpoint/i,
+    /symantec/i,
+    /messagelabs/i,
+    /trendmicro/i,
+    /forcepoint/i,
+    /sophos/i,
+    /bitdefender/i,
+    /safelinks/i,
+    /urldefense/i,
+    /python-requests/i,
+    /curl\//i,
+    /wget\//i,
+    /headlesschrome/i,
+    /bot|crawler|spider/i,
+];
+
+/**
+ * Open and click tracking
+ * - Per-recipient pixel injection and unique open recording into Stats.opens
+ * - Link rewriting backed by CampaignLink, click counting into Stats.totalclick and unique clickers into Stats.click
+ */
+class TrackingService {
+    constructor() {
+        this.secret = config.security.secretKey;
+        this.linkSalt = config.security.linkSalt;
+        this.serverUrl = config.server.url.replace(/\/+$/, '');
+        this.baseUrl = `${this.serverUrl}/t`;
+        this.linkTtlMs = (config.tracking?.linkTtlDays || 180) * 24 * 60 * 60 * 1000;
+
+        // Links already stored in CampaignLink (statsId:key), so each is only upserted once per process
+        this.registeredLinks = new Set();
+        this.maxRegisteredLinks = 50000;
+    }
+
+    /**
+     * Check if open tracking is enabled for a message (opt-out per campaign)
+     */
+    isOpenTrackingEnabled(metadata = {}) {
+        return Boolean(metadata.statsId) && metadata.trackOpens !== false;
+    }
+
+    /**
+     * Signed open-tracking token bound to recipient and stats
+     */
+    generateOpenToken(email, statsId) {
+        return sign({ e: String(email).trim().toLowerCase(), s: String(statsId) }, this.secret);
+    }
+
+    /**
+     * Verify open-tracking token
+     */
+    verifyOpenToken(token) {
+        const payload = verify(token, this.secret);
+        if (!payload?.e || !payload?.s) {
+            return null;
+        }
+        return { email: payload.e, statsId: payload.s };
+    }
+
+    /**
+     * Build tracking pixel URL
+     */
+    buildOpenUrl(email, statsId) {
+        return `${this.baseUrl}/o/${this.generateOpenToken(email, statsId)}.gif`;
+    }
+
+    /**
+     * Inject tracking pixel into HTML (before </body>, or appended)
+     */
+    injectOpenPixel(html, email, statsId) {
+        if (!html) {
+            return html;
+        }
+
+        const pixel = `<img src="${this.buildOpenUrl(email, statsId)}" width="1" height="1" alt="" style="display:none;border:0;width:1px;height:1px;" />`;
+
+        const bodyClose = html.search(/<\/body>/i);
+        if (bodyClose !== -1) {
+            return `${html.slice(0, bodyClose)}${pixel}${html.slice(bodyClose)}`;
+        }
+        return `${html}${pixel}`;
+    }
+
+    /**
+     * Detect prefetches by image proxies and security scanners
+     */
+    isPrefetch(headers = {}) {
+        const purpose = headers['x-purpose'] || headers.purpose || headers['sec-purpose'] || headers['x-moz'] || '';
+        if (/prefetch|preview/i.test(purpose)) {
+            return true;
+        }
+
+        const userAgent = headers['user-agent'] || '';
+        if (!userAgent) {
+            return true;
+        }
+
+        return PREFETCH_USER_AGENTS.some(pattern => pattern.test(userAgent));
+    }
+
+    /**
+     * Record a unique open for the recipient in the token
+     * @returns {Promise<boolean>} true if the open was recorded
+     */
+    async recordOpen(token, headers = {}) {
+        const data = this.verifyOpenToken(token);
+        if (!data || !mongoose.isValidObjectId(data.statsId)) {
+            return false;
+        }
+
+        if (this.isPrefetch(headers)) {
+            logger.debug({ statsId: data.statsId, userAgent: headers['user-agent'] }, 'Ignoring image prefetch');
+            return false;
+        }
+
+        await Stats.updateOne(
+            { _id: data.statsId },
+            { $addToSet: { opens: data.email } }
+        );
+
+        return true;
+    }
+
+    /**
+     * Check if click tracking is enabled for a message (opt-out per campaign)
+     */
+    isClickTrackingEnabled(metadata = {}) {
+        return Boolean(metadata.statsId) && metadata.trackClicks !== false;
+    }
+
+    /**
+     * Check if a link should be rewritten
+     * Only absolute http(s) links; our own endpoints and data-notrack links are left alone
+     */
+    isTrackableUrl(href) {
+        if (!href || !/^https?:\/\//i.test(href.trim())) {
+            return false;
+        }
+        return !href.startsWith(this.serverUrl);
+    }
+
+    /**
+     * Stable key for an original URL within a campaign (stored as CampaignLink.token)
+     */
+    buildLinkKey(statsId, url) {
+        return crypto
+            .createHmac('sha256', this.linkSalt)
+            .update(`${statsId}:${url}`)
+            .digest('hex')
+            .substring(0, 32);
+    }
+
+    /**
+     * Store original URLs so redirects can only go to links that were in the email
+     */
+    async registerLinks(statsId, links) {
+        const pending = links.filter(({ key }) => !this.registeredLinks.has(`${statsId}:${key}`));
+        if (pending.length === 0) {
+            return;
+        }
+
+        const expiryTime = new Date(Date.now() + this.linkTtlMs);
+        await CampaignLink.bulkWrite(
+            pending.map(({ key, url }) => ({
+                updateOne: {
+                    filter: { token: key },
+                    update: {
+                        $setOnInsert: { token: key, url, statsId, expiryTime, isActive: true },
+                    },
+                    upsert: true,
+                },
+            })),
+            { ordered: false }
+        );
+
+        if (this.registeredLinks.size + pending.length > this.maxRegisteredLinks) {
+            this.registeredLinks.clear();
+        }
+        pending.forEach(({ key }) => this.registeredLinks.add(`${statsId}:${key}`));
+    }
+
+    /**
+     * Build per-recipient tracked redirect URL
+     */
+    buildClickUrl(email, statsId, key) {
+        const token = sign({ e: String(email).trim().toLowerCase(), s: String(statsId), l: key }, this.linkSalt);
+        return `${this.baseUrl}/c/${token}`;
+    }
+
+    /**
+     * Rewrite every trackable <a href> into a tracked redirect
+     */
+    async rewriteLinks(html, email, statsId) {
+        if (!html || !/<a\s/i.test(html)) {
+            return html;
+        }
+
+        const isDocument = /<html[\s>]/i.test(html);
+        const $ = cheerio.load(html, null, isDocument);
+        const links = new Map();
+
+        $('a[href]').each((index, element) => {
+            const anchor = $(element);
+            const href = anchor.attr('href').trim();
+
+            if (anchor.attr('data-notrack') !== undefined || !this.isTrackableUrl(href)) {
+                anchor.removeAttr('data-notrack');
+                return;
+            }
+
+            const key = this.buildLinkKey(statsId, href);
+            links.set(key, href);
+            anchor.attr('href', this.buildClickUrl(email, statsId, key));
+        });
+
+        if (links.size === 0) {
+            return html;
+        }
+
+        await this.registerLinks(statsId, [...links.entries()].map(([key, url]) => ({ key, url })));
+
+        return $.html();
+    }
+
+    /**
+     * Resolve a click token to its original URL and record the click
+     * @returns {Promise<string|null>} Original URL, or null if the token/link is invalid
+     */
+    async recordClick(token, headers = {}) {
+        const payload = verify(token, this.linkSalt);
+        if (!payload?.e || !payload?.s || !payload?.l || !mongoose.isValidObjectId(payload.s)) {
+            return null;
+        }
+
+        const link = await CampaignLink.findOne({
+            token: payload.l,
+            statsId: payload.s,
+            isActive: true,
+            expiryTime: { $gt: new Date() },
+        }).select('url').lean();
+
+        // Only ever redirect to a URL that was registered from the original email
+        if (!link?.url || !/^https?:\/\//i.test(link.url)) {
+            return null;
+        }
+
+        if (!this.isPrefetch(headers)) {
+            // Every click is counted; Stats.click lists each recipient/link pair once
+            const click = { email: payload.e, url: link.url };
+            await Stats.bulkWrite([
+                { updateOne: { filter: { _id: payload.s }, update: { $inc: { totalclick: 1 } } } },
+                {
+                    updateOne: {
+                        filter: { _id: payload.s, click: { $not: { $elemMatch: click } } },
+                        update: { $push: { click } },
+                    },
+                },
+            ], { ordered: false });
+        } else {
+            logger.debug({ statsId: payload.s, userAgent: headers['user-agent'] }, 'Ignoring link scanner click');
+        }
+
+        return link.url;
+    }
+
+    /**
+     * Tracking pixel image
+     */
+    getPixel() {
+        return TRACKING_PIXEL;
+    }
+}
+
+module.exports = new TrackingService();
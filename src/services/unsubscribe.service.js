@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const UnSubscribe = require('../models/unSubscribe.model');
+const Stats = require('../models/stats.model');
+const suppressionService = require('./suppression.service');
+const { sign, verify } = require('../utils/signedToken');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+/**
+ * Per-recipient unsubscribe links (RFC 2369 / RFC 8058 one-click)
+ * Tokens are HMAC-signed with UNSUBSCRIBE_SECRET_KEY and bound to recipient and campaign stats
+ */
+class UnsubscribeService {
+    constructor() {
+        this.secret = config.security.unsubscribeSecretKey;
+        this.baseUrl = (config.server.unsubscribeBaseUrl || `${config.server.url}/unsubscribe`).replace(/\/+$/, '');
+        // Operator-provided extra target (e.g. a mailto: mailbox they process), listed after the one-click URL
+        this.extraTarget = config.smtp.listUnsubscribe || null;
+    }
+
+    /**
+     * Generate signed token for a recipient (and campaign, if known)
+     */
+    generateToken(email, metadata = {}) {
+        const payload = { e: String(email).trim().toLowerCase() };
+        if (metadata.statsId) {
+            payload.s = String(metadata.statsId);
+        }
+        if (metadata.campaignId) {
+            payload.c = String(metadata.campaignId);
+        }
+        return sign(payload, this.secret);
+    }
+
+    /**
+     * Verify token and return { email, statsId, campaignId } or null
+     */
+    verifyToken(token) {
+        const payload = verify(token, this.secret);
+        if (!payload?.e) {
+            return null;
+        }
+        return { email: payload.e, statsId: payload.s || null, campaignId: payload.c || null };
+    }
+
+    /**
+     * HTTPS unsubscribe URL for a recipient
+     */
+    buildUrl(email, metadata = {}) {
+        return `${this.baseUrl}/${this.generateToken(email, metadata)}`;
+    }
+
+    /**
+     * Build List-Unsubscribe headers (https form plus one-click POST)
+     */
+    buildHeaders(email, metadata = {}) {
+        const targets = [this.buildUrl(email, metadata), this.extraTarget].filter(Boolean);
+        return {
+            'List-Unsubscribe': targets.map(target => `<${target.replace(/^<|>$/g, '')}>`).join(', '),
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        };
+    }
+
+    /**
+     * Unsubscribe the recipient identified by a signed token
+     * @returns {Promise<{email: string, statsId: string|null}|null>} null if the token is invalid
+     */
+    async unsubscribe(token, { feedback = '', source = 'link' } = {}) {
+        const data = this.verifyToken(token);
+        if (!data) {
+            return null;
+        }
+
+        await UnSubscribe.updateOne(
+            { email: data.email },
+            {
+                $setOnInsert: { email: data.email, createdAt: new Date() },
+                $set: { updatedAt: new Date(), ...(feedback ? { feedback: String(feedback).substring(0, 1000) } : {}) },
+            },
+            { upsert: true }
+        );
+
+        if (data.statsId && mongoose.isValidObjectId(data.statsId)) {
+            await Stats.updateOne(
+                { _id: data.statsId },
+                { $addToSet: { unsubscribeClicks: data.email } }
+            );
+        }
+
+        // Make the unsubscribe effective immediately for this process
+        suppressionService.setCached(data.email, { suppressed: true, reason: 'unsubscribe' });
+
+        logger.info({ email: data.email, statsId: data.statsId, source }, 'Recipient unsubscribed');
+
+        return data;
+    }
+}
+
+module.exports = new UnsubscribeService();
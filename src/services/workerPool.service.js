@@ -1,7 +1,11 @@
 const logger = require('../config/logger');
 const emailService = require('./email.service');
 const sqsService = require('./sqs.service');
+const deliveryService = require('./delivery.service');
+const retryScheduler = require('./retryScheduler.service');
 const metrics = require('./metrics.service');
+const rateLimiter = require('./rateLimiter.service');
+const mxResolver = require('./mxResolver.service');
 
 /**
  * Worker Pool Manager for processing emails with controlled concurrency
@@ -16,15 +20,31 @@ class WorkerPoolService {
         this.processedCount = 0;
         this.failedCount = 0;
 
-        // Queue for pending messages
-        this.messageQueue = [];
+        // Pending messages in per-recipient-domain sub-queues, served round-robin
+        // so a throttled domain never holds workers that other domains could use
+        this.domainQueues = new Map();
+        this.queuedCount = 0;
         this.maxQueueSize = options.maxQueueSize || 100;
+        // Sends in flight per rate limit key (domain or policy group)
+        this.inFlightByKey = new Map();
+        // Budget checks hit the shared rate limit store, so dequeues are serialized
+        this.dequeueLock = Promise.resolve();
+
+        // Queued messages are kept invisible by visibility heartbeats;
+        // domains blocked for longer than maxHoldMs are handed back to SQS instead
+        this.maxHoldMs = options.maxHoldMs || 15 * 60 * 1000;
+        this.sweepIntervalMs = 5 * 1000;
+        this.sweepTimer = null;
+        this.isSweeping = false;
 
         // Processing statistics
         this.stats = {
             totalProcessed: 0,
             totalFailed: 0,
             totalSucceeded: 0,
+            totalDeferred: 0,
+            totalSuppressed: 0,
+            totalReleased: 0,
             startTime: null,
         };
     }
@@ -52,6 +72,9 @@ class WorkerPoolService {
 
         // Start message polling
         this.startPolling();
+
+        // Release messages of long-blocked domains
+        this.sweepTimer = setInterval(() => this.sweepWaitingMessages(), this.sweepIntervalMs);
     }
 
     /**
@@ -74,14 +97,15 @@ class WorkerPoolService {
                     continue;
                 }
 
-                // Check queue capacity
-                if (this.messageQueue.length >= this.maxQueueSize) {
+                // Backpressure: only request what the queue can hold
+                const freeCapacity = this.maxQueueSize - this.queuedCount;
+                if (freeCapacity <= 0) {
                     await this.sleep(500);
                     continue;
                 }
 
                 // Fetch messages from SQS
-                const messages = await sqsService.receiveMessages(this.batchSize, 20);
+                const messages = await sqsService.receiveMessages(Math.min(this.batchSize, freeCapacity), 20);
 
                 if (messages.length === 0) {
                     // No messages, wait a bit before next poll
@@ -91,15 +115,21 @@ class WorkerPoolService {
 
                 metrics.increment('sqsMessagesReceived', messages.length);
 
-                // Add messages to processing queue
+                // Add messages to processing queue; anything that no longer fits
+                // (pool stopped or resized during the long poll) goes straight back to SQS
+                const overflow = [];
                 for (const message of messages) {
-                    if (this.messageQueue.length < this.maxQueueSize) {
-                        this.messageQueue.push(message);
+                    if (this.isRunning && this.queuedCount < this.maxQueueSize) {
+                        this.enqueue(message);
                     } else {
-                        logger.warn('Message queue full, dropping message');
+                        overflow.push(message);
                     }
                 }
 
+                if (overflow.length > 0) {
+                    await this.releaseMessages(overflow);
+                }
+
                 // Small delay to prevent tight loop
                 await this.sleep(50);
             } catch (error) {
@@ -109,6 +139,195 @@ class WorkerPoolService {
         }
     }
 
+    /**
+     * Make messages visible again immediately (ChangeMessageVisibility 0)
+     * so another consumer can take them without waiting for the visibility timeout
+     */
+    async releaseMessages(messages) {
+        const results = await Promise.allSettled(messages.map(async (message) => {
+            await sqsService.stopHeartbeat(message.ReceiptHandle);
+            await sqsService.changeMessageVisibility(message.ReceiptHandle, 0);
+        }));
+        const failed = results.filter(result => result.status === 'rejected').length;
+
+        this.stats.totalReleased += messages.length - failed;
+        logger.info({ released: messages.length - failed, failed }, 'Released messages back to SQS');
+    }
+
+    /**
+     * Release every message still waiting in the sub-queues
+     */
+    async releaseQueuedMessages() {
+        const messages = [];
+        for (const queue of this.domainQueues.values()) {
+            queue.forEach(entry => messages.push(entry.message));
+        }
+        this.domainQueues.clear();
+        this.queuedCount = 0;
+
+        if (messages.length > 0) {
+            await this.releaseMessages(messages);
+        }
+    }
+
+    /**
+     * Recipient domain of a raw SQS message (without full parsing)
+     */
+    getMessageDomain(sqsMessage) {
+        try {
+            const body = JSON.parse(sqsMessage.Body);
+            const attributes = sqsMessage.MessageAttributes || {};
+            return rateLimiter.extractDomain(attributes.to?.StringValue || body.to);
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Add a received message to its domain's sub-queue
+     */
+    enqueue(sqsMessage) {
+        const domain = this.getMessageDomain(sqsMessage);
+
+        if (!this.domainQueues.has(domain)) {
+            this.domainQueues.set(domain, []);
+        }
+        this.domainQueues.get(domain).push({
+            message: sqsMessage,
+            domain,
+            receivedAt: Date.now(),
+        });
+        this.queuedCount++;
+
+        // Invisible until processed, however long the domain has to wait
+        sqsService.startHeartbeat(sqsMessage.ReceiptHandle);
+
+        // Resolve the provider group now so the scheduler doesn't wait on DNS
+        mxResolver.getGroup(domain);
+    }
+
+    /**
+     * Check if a domain has rate budget and a free connection for one more send (counting sends in flight)
+     * In-flight sends are counted per limit key, so domains of a policy group share them
+     */
+    async hasBudget(domain) {
+        const { key, maxConnections } = await rateLimiter.getPolicy(domain);
+        const inFlight = this.inFlightByKey.get(key) || 0;
+
+        if (maxConnections && inFlight >= maxConnections) {
+            return false;
+        }
+        return (await rateLimiter.getAvailableCapacity(domain)) > inFlight;
+    }
+
+    /**
+     * Fair scheduler: take the next message from the first domain (in round-robin order)
+     * that currently has rate budget, and count it as in flight
+     * @returns {Promise<Object|null>} Queue entry, or null if no domain can send now
+     */
+    dequeue() {
+        const next = this.dequeueLock.then(() => this.takeNext());
+        this.dequeueLock = next.catch(() => null);
+        return next;
+    }
+
+    /**
+     * Single dequeue step, run under dequeueLock
+     */
+    async takeNext() {
+        if (this.queuedCount === 0 || (await rateLimiter.getGlobalDelay()) > 0) {
+            return null;
+        }
+
+        for (const domain of [...this.domainQueues.keys()]) {
+            if (!(await this.hasBudget(domain))) {
+                continue;
+            }
+
+            // The sweep may have released the domain meanwhile
+            const queue = this.domainQueues.get(domain);
+            if (!queue) {
+                continue;
+            }
+
+            const entry = queue.shift();
+            this.queuedCount--;
+            entry.limitKey = (await rateLimiter.getPolicy(domain)).key;
+            this.inFlightByKey.set(entry.limitKey, (this.inFlightByKey.get(entry.limitKey) || 0) + 1);
+
+            // Move the domain to the back of the rotation
+            this.domainQueues.delete(domain);
+            if (queue.length > 0) {
+                this.domainQueues.set(domain, queue);
+            }
+            return entry;
+        }
+
+        return null;
+    }
+
+    /**
+     * Time until a domain may send again (cooldown or per-minute window)
+     */
+    async getDomainWaitMs(domain) {
+        const [cooldownMs, windowMs] = await Promise.all([
+            rateLimiter.getCooldownRemaining(domain),
+            rateLimiter.getDelayForDomain(domain),
+        ]);
+        return Math.max(cooldownMs, windowMs);
+    }
+
+    /**
+     * Hand messages of domains blocked for longer than maxHoldMs back to SQS,
+     * hidden until the domain can send again
+     */
+    async sweepWaitingMessages() {
+        if (this.isSweeping) {
+            return;
+        }
+        this.isSweeping = true;
+
+        try {
+            await this.releaseBlockedDomains();
+        } catch (error) {
+            logger.error({ error: error.message }, 'Error releasing messages of blocked domains');
+        } finally {
+            this.isSweeping = false;
+        }
+    }
+
+    /**
+     * Release the sub-queues of blocked domains
+     */
+    async releaseBlockedDomains() {
+        const updates = [];
+
+        for (const domain of [...this.domainQueues.keys()]) {
+            const waitMs = await this.getDomainWaitMs(domain);
+            const queue = this.domainQueues.get(domain);
+            if (waitMs <= this.maxHoldMs || !queue) {
+                continue;
+            }
+
+            // SQS maximum is 12 hours
+            const hideSeconds = Math.min(Math.ceil(waitMs / 1000), 43200);
+            this.domainQueues.delete(domain);
+            this.queuedCount -= queue.length;
+            queue.forEach(entry => updates.push((async () => {
+                await sqsService.stopHeartbeat(entry.message.ReceiptHandle);
+                await sqsService.changeMessageVisibility(entry.message.ReceiptHandle, hideSeconds);
+            })()));
+
+            logger.info({ domain, count: queue.length, hideSeconds }, 'Domain blocked, returning queued messages to SQS');
+        }
+
+        const results = await Promise.allSettled(updates);
+        const failed = results.filter(result => result.status === 'rejected').length;
+        if (failed > 0) {
+            logger.warn({ failed, total: updates.length }, 'Failed to return some queued messages to SQS');
+        }
+    }
+
     /**
      * Worker process that processes messages from the queue
      */
@@ -122,24 +341,28 @@ class WorkerPoolService {
                     continue;
                 }
 
-                // Get message from queue
-                const message = this.messageQueue.shift();
+                // Get the next message whose domain can send now
+                const entry = await this.dequeue();
 
-                if (!message) {
-                    // No messages, wait a bit
+                if (!entry) {
+                    // No sendable messages, wait a bit
                     await this.sleep(100);
                     continue;
                 }
 
                 // Process message
                 this.activeWorkers++;
-                await this.processMessage(message, workerId);
-                this.activeWorkers--;
+                try {
+                    await this.processMessage(entry.message, workerId);
+                } finally {
+                    this.activeWorkers--;
+                    this.releaseInFlight(entry.limitKey);
+                    await sqsService.stopHeartbeat(entry.message.ReceiptHandle);
+                }
 
                 // Small delay to prevent tight loop
                 await this.sleep(10);
             } catch (error) {
-                this.activeWorkers--;
                 logger.error({ workerId, error: error.message }, 'Error in worker process');
                 await this.sleep(100);
             }
@@ -148,6 +371,18 @@ class WorkerPoolService {
         logger.debug({ workerId }, 'Worker stopped');
     }
 
+    /**
+     * Decrement the in-flight count of a limit key
+     */
+    releaseInFlight(limitKey) {
+        const count = (this.inFlightByKey.get(limitKey) || 1) - 1;
+        if (count > 0) {
+            this.inFlightByKey.set(limitKey, count);
+        } else {
+            this.inFlightByKey.delete(limitKey);
+        }
+    }
+
     /**
      * Process a single SQS message
      */
@@ -175,6 +410,12 @@ class WorkerPoolService {
                 metadata
             );
 
+            // Sending is over: stop extending visibility before deleting or deferring
+            await sqsService.stopHeartbeat(receiptHandle);
+
+            // Delivery ledger row for this recipient
+            await deliveryService.recordResult(parsedMessage, result, 'workerPool');
+
             if (result.success) {
                 // Delete message from SQS
                 await sqsService.deleteMessage(receiptHandle);
@@ -188,9 +429,25 @@ class WorkerPoolService {
                     to,
                     attempt: result.attempt,
                 }, 'Email processed successfully');
+            } else if (result.suppressed) {
+                // Suppressed recipient - nothing to retry, remove from queue
+                await sqsService.deleteMessage(receiptHandle);
+                this.stats.totalSuppressed++;
+                metrics.increment('sqsMessagesProcessed');
+
+                logger.info({
+                    workerId,
+                    messageId,
+                    to,
+                    reason: result.reason,
+                }, 'Recipient suppressed, message removed');
+            } else if (result.deferred) {
+                // Deferred (e.g. quiet hours) - hide message until it may be sent
+                await retryScheduler.defer(parsedMessage, result, { workerId });
+                this.stats.totalDeferred++;
             } else {
                 // Handle failure
-                this.handleFailure(sqsMessage, parsedMessage, result, workerId);
+                await this.handleFailure(sqsMessage, parsedMessage, result, workerId);
             }
 
             this.stats.totalProcessed++;
@@ -202,9 +459,13 @@ class WorkerPoolService {
                 stack: error.stack,
             }, 'Error processing message');
 
+            await sqsService.stopHeartbeat(sqsMessage.ReceiptHandle);
+
             this.stats.totalFailed++;
             this.failedCount++;
 
+            await deliveryService.recordError(parsedMessage, error, 'workerPool');
+
             // Try to send to DLQ if max retries reached
             try {
                 await sqsService.sendToDLQ(
@@ -223,7 +484,7 @@ class WorkerPoolService {
      * Handle message processing failure
      */
     async handleFailure(sqsMessage, parsedMessage, result, workerId) {
-        const { receiptHandle, messageId, to } = parsedMessage;
+        const { messageId, to } = parsedMessage;
 
         // Check if it's a permanent failure (hard fail)
         if (!result.isRetryable) {
@@ -235,29 +496,35 @@ class WorkerPoolService {
             }, 'Permanent failure, sending to DLQ');
 
             try {
-                await sqsService.sendToDLQ(
-                    sqsMessage.Body,
-                    sqsMessage.MessageAttributes || {}
-                );
-                metrics.increment('dlqMessages');
-                await sqsService.deleteMessage(receiptHandle);
+                await retryScheduler.deadLetter(parsedMessage, result, sqsMessage.Body, sqsMessage.MessageAttributes || {});
             } catch (error) {
                 logger.error({ error: error.message }, 'Failed to send to DLQ');
             }
 
             this.stats.totalFailed++;
-        } else {
-            // Transient failure - message will be retried by SQS visibility timeout
+            return;
+        }
+
+        // Transient failure - hide the message for the backoff delay, DLQ after max receives
+        try {
+            const retry = await retryScheduler.scheduleRetry(parsedMessage, result, sqsMessage.Body, sqsMessage.MessageAttributes || {});
+
+            if (retry.deadLettered) {
+                this.stats.totalFailed++;
+                return;
+            }
+
             logger.warn({
                 workerId,
                 messageId,
                 to,
                 attempt: result.attempt,
-                willRetry: true,
-            }, 'Transient failure, message will be retried by SQS');
-
-            // Don't delete message - let it become visible again for retry
-            // SQS will handle the retry via visibility timeout
+                failures: retry.failureCount,
+                retryAfterSeconds: retry.retryAfterSeconds,
+            }, 'Transient failure, retry scheduled');
+        } catch (error) {
+            // Message becomes visible again after the visibility timeout
+            logger.error({ error: error.message, messageId }, 'Failed to schedule retry');
         }
     }
 
@@ -269,6 +536,11 @@ class WorkerPoolService {
         this.isRunning = false;
         this.pauseProcessing = true;
 
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+
         // Wait for active workers to finish
         let waitCount = 0;
         while (this.activeWorkers > 0 && waitCount < 300) {
@@ -277,6 +549,9 @@ class WorkerPoolService {
             waitCount++;
         }
 
+        // Hand unstarted messages to other consumers instead of letting them time out
+        await this.releaseQueuedMessages();
+
         logger.info({
             totalProcessed: this.stats.totalProcessed,
             totalSucceeded: this.stats.totalSucceeded,
@@ -308,7 +583,15 @@ class WorkerPoolService {
             ...this.stats,
             activeWorkers: this.activeWorkers,
             maxWorkers: this.maxWorkers,
-            queueSize: this.messageQueue.length,
+            queueSize: this.queuedCount,
+            maxQueueSize: this.maxQueueSize,
+            queueOccupancy: this.maxQueueSize > 0
+                ? Math.round((this.queuedCount / this.maxQueueSize) * 100)
+                : 0,
+            domainQueues: Object.fromEntries(
+                [...this.domainQueues.entries()].map(([domain, queue]) => [domain, queue.length])
+            ),
+            heartbeats: sqsService.getHeartbeatStats(),
             isRunning: this.isRunning,
             pauseProcessing: this.pauseProcessing,
             uptimeSeconds: this.stats.startTime
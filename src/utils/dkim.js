@@ -0,0 +1,191 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { relaxedHeaders } = require('nodemailer/lib/dkim/sign');
+
+/**
+ * DKIM key loading and local sign/verify self-check
+ * Signing itself is done by nodemailer (transport `dkim` option)
+ */
+
+/**
+ * Load a PEM private key from an inline value or a file path
+ * Inline keys may use literal "\n" sequences (single-line env vars)
+ * @returns {string|null}
+ */
+const loadPrivateKey = (privateKey, privateKeyPath) => {
+    let pem = null;
+    if (privateKey) {
+        pem = String(privateKey).replace(/\\n/g, '\n');
+    } else if (privateKeyPath) {
+        pem = fs.readFileSync(privateKeyPath, 'utf8');
+    }
+
+    if (!pem) {
+        return null;
+    }
+
+    // Fail at startup rather than silently sending unsigned mail
+    crypto.createPrivateKey(pem);
+    return pem.trim();
+};
+
+/**
+ * Build nodemailer DKIM options for a signing domain
+ * Two selectors are supported for key rotation: while `nextSelector` is configured
+ * every message carries both signatures, so either DNS record validates it
+ * @param {string} domain - Signing domain (d=)
+ * @param {Object} settings - selector, privateKey, privateKeyPath, nextSelector, nextPrivateKey, nextPrivateKeyPath
+ * @returns {Object|null} `{ keys: [...] }` or null when DKIM is not configured
+ */
+const buildSigningOptions = (domain, settings = {}) => {
+    if (!domain || !settings) {
+        return null;
+    }
+
+    const keys = [
+        { selector: settings.selector, privateKey: settings.privateKey, privateKeyPath: settings.privateKeyPath },
+        { selector: settings.nextSelector, privateKey: settings.nextPrivateKey, privateKeyPath: settings.nextPrivateKeyPath },
+    ]
+        .filter(key => key.selector && (key.privateKey || key.privateKeyPath))
+        .map(key => ({
+            domainName: domain,
+            keySelector: key.selector,
+            privateKey: loadPrivateKey(key.privateKey, key.privateKeyPath),
+        }));
+
+    return keys.length > 0 ? { keys } : null;
+};
+
+/**
+ * Split a raw message into header lines ({ key, line }) and body
+ */
+const parseMessage = (raw) => {
+    const message = raw.toString('utf8').replace(/\r?\n/g, '\r\n');
+    const separator = message.indexOf('\r\n\r\n');
+    const headerBlock = separator === -1 ? message : message.substring(0, separator);
+    const body = separator === -1 ? '' : message.substring(separator + 4);
+
+    const headers = [];
+    headerBlock.split('\r\n').forEach((line) => {
+        if (/^[ \t]/.test(line) && headers.length > 0) {
+            headers[headers.length - 1].line += `\r\n${line}`;
+        } else if (line) {
+            headers.push({ key: line.substring(0, line.indexOf(':')).trim().toLowerCase(), line });
+        }
+    });
+
+    return { headers, body };
+};
+
+/**
+ * Body hash with relaxed canonicalization (RFC 6376 3.4.4)
+ */
+const relaxedBodyHash = (body, algo = 'sha256') => {
+    const canonical = body
+        .replace(/[ \t]+\r\n/g, '\r\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/(\r\n)*$/, '');
+    return crypto
+        .createHash(algo)
+        .update(canonical ? `${canonical}\r\n` : '')
+        .digest('base64');
+};
+
+/**
+ * Parse DKIM-Signature tag list
+ */
+const parseTags = (value) => {
+    const tags = {};
+    value.split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index !== -1) {
+            tags[part.substring(0, index).trim()] = part.substring(index + 1).replace(/\s+/g, '');
+        }
+    });
+    return tags;
+};
+
+/**
+ * Verify the relaxed/relaxed DKIM signatures of a raw message
+ * @param {Buffer|string} raw - Signed message
+ * @param {Object} publicKeys - Map of `${selector}.${domain}` to public key (KeyObject or PEM)
+ * @returns {Array<{domain: string, selector: string, valid: boolean, reason: string|null}>}
+ */
+const verifyMessage = (raw, publicKeys) => {
+    const { headers, body } = parseMessage(raw);
+
+    return headers
+        .filter(header => header.key === 'dkim-signature')
+        .map((signatureHeader) => {
+            const tags = parseTags(signatureHeader.line.substring(signatureHeader.line.indexOf(':') + 1));
+            const result = { domain: tags.d, selector: tags.s, valid: false, reason: null };
+
+            const publicKey = publicKeys[`${tags.s}.${tags.d}`];
+            if (!publicKey) {
+                result.reason = 'unknown_key';
+                return result;
+            }
+
+            const algo = (tags.a || '').replace(/^rsa-/, '');
+            if (relaxedBodyHash(body, algo) !== tags.bh) {
+                result.reason = 'body_hash_mismatch';
+                return result;
+            }
+
+            // Signed data: listed headers plus the signature header itself with an empty b=
+            const signed = relaxedHeaders(headers.filter(header => header !== signatureHeader), tags.h);
+            const unsignedHeader = signatureHeader.line.replace(/([;\s]b=)[^;]*$/, '$1');
+            const data = `${signed.headers}dkim-signature:${unsignedHeader
+                .substring(unsignedHeader.indexOf(':') + 1)
+                .replace(/\r?\n/g, '')
+                .replace(/\s+/g, ' ')
+                .trim()}`;
+
+            const verifier = crypto.createVerify(`RSA-${algo.toUpperCase()}`);
+            verifier.update(data);
+            result.valid = verifier.verify(publicKey, tags.b, 'base64');
+            result.reason = result.valid ? null : 'signature_mismatch';
+            return result;
+        });
+};
+
+/**
+ * Sign a sample message with the given DKIM options and verify it locally
+ * Catches unusable keys and selector/domain mix-ups before real mail goes out
+ * (DNS publication of the public key is not checked)
+ * @returns {Promise<{ok: boolean, results: Array}>}
+ */
+const selfCheck = async (dkimOptions, from) => {
+    const transport = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: '\r\n',
+        dkim: dkimOptions,
+    });
+
+    const info = await transport.sendMail({
+        from,
+        to: 'dkim-self-check@example.com',
+        subject: 'DKIM self-check',
+        text: 'DKIM self-check\n',
+        html: '<p>DKIM self-check</p>',
+    });
+
+    const publicKeys = {};
+    dkimOptions.keys.forEach((key) => {
+        publicKeys[`${key.keySelector}.${key.domainName}`] = crypto.createPublicKey(key.privateKey);
+    });
+
+    const results = verifyMessage(info.message, publicKeys);
+    const ok = results.length === dkimOptions.keys.length && results.every(result => result.valid);
+    return { ok, results };
+};
+
+module.exports = {
+    loadPrivateKey,
+    buildSigningOptions,
+    relaxedBodyHash,
+    verifyMessage,
+    selfCheck,
+};
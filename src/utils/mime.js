@@ -0,0 +1,196 @@
+/**
+ * Minimal MIME parsing for machine-generated reports (DSN, ARF)
+ * Handles header unfolding, multipart bodies, base64/quoted-printable and
+ * the "field: value" blocks of message/delivery-status and message/feedback-report
+ */
+
+/**
+ * Normalize line endings to \n
+ */
+const normalizeNewlines = text => String(text).replace(/\r\n?/g, '\n');
+
+/**
+ * Parse a header block into a map of lower-case name to array of values
+ * @param {string} text - Header block (no body)
+ * @returns {Object<string, string[]>}
+ */
+const parseHeaders = (text) => {
+    const headers = {};
+    const lines = normalizeNewlines(text).split('\n');
+    let current = null;
+
+    lines.forEach((line) => {
+        if (/^[ \t]/.test(line) && current) {
+            current.value += ` ${line.trim()}`;
+            return;
+        }
+
+        const index = line.indexOf(':');
+        if (index <= 0) {
+            current = null;
+            return;
+        }
+
+        current = { name: line.substring(0, index).trim().toLowerCase(), value: line.substring(index + 1).trim() };
+        headers[current.name] = headers[current.name] || [];
+        headers[current.name].push(current);
+    });
+
+    Object.keys(headers).forEach((name) => {
+        headers[name] = headers[name].map(entry => entry.value);
+    });
+
+    return headers;
+};
+
+/**
+ * First value of a header (or empty string)
+ */
+const getHeader = (headers, name) => (headers[name.toLowerCase()] || [])[0] || '';
+
+/**
+ * Parse a structured header value such as Content-Type
+ * @returns {{value: string, params: Object<string, string>}}
+ */
+const parseHeaderValue = (header) => {
+    const [value, ...rest] = String(header || '').split(';');
+    const params = {};
+
+    rest.forEach((part) => {
+        const index = part.indexOf('=');
+        if (index !== -1) {
+            params[part.substring(0, index).trim().toLowerCase()] = part.substring(index + 1).trim().replace(/^"(.*)"$/, '$1');
+        }
+    });
+
+    return { value: value.trim().toLowerCase(), params };
+};
+
+/**
+ * Decode a body according to its Content-Transfer-Encoding
+ */
+const decodeBody = (body, encoding) => {
+    switch (String(encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+        case 'quoted-printable':
+            return body
+                .replace(/=\n/g, '')
+                .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        default:
+            return body;
+    }
+};
+
+/**
+ * Split a multipart body on its boundary
+ */
+const splitMultipart = (body, boundary) => {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+
+    body.split('\n').some((line) => {
+        const trimmed = line.trimEnd();
+        if (trimmed === `${delimiter}--`) {
+            if (current) {
+                parts.push(current.join('\n'));
+            }
+            current = null;
+            return true;
+        }
+        if (trimmed === delimiter) {
+            if (current) {
+                parts.push(current.join('\n'));
+            }
+            current = [];
+            return false;
+        }
+        if (current) {
+            current.push(line);
+        }
+        return false;
+    });
+
+    if (current) {
+        parts.push(current.join('\n'));
+    }
+
+    return parts;
+};
+
+/**
+ * Parse a raw message (or MIME part) into a tree
+ * @param {string|Buffer} raw
+ * @returns {{headers: Object, contentType: string, params: Object, body: string, parts: Array}}
+ */
+const parseMessage = (raw) => {
+    const text = normalizeNewlines(Buffer.isBuffer(raw) ? raw.toString('utf8') : raw);
+    const separator = text.indexOf('\n\n');
+    const headerBlock = separator === -1 ? text : text.substring(0, separator);
+    const rawBody = separator === -1 ? '' : text.substring(separator + 2);
+
+    const headers = parseHeaders(headerBlock);
+    const { value: contentType, params } = parseHeaderValue(getHeader(headers, 'content-type') || 'text/plain');
+
+    const node = {
+        headers,
+        contentType,
+        params,
+        body: '',
+        parts: [],
+    };
+
+    if (contentType.startsWith('multipart/') && params.boundary) {
+        node.parts = splitMultipart(rawBody, params.boundary).map(parseMessage);
+    } else {
+        node.body = decodeBody(rawBody, getHeader(headers, 'content-transfer-encoding'));
+    }
+
+    return node;
+};
+
+/**
+ * Depth-first search for the first part with a given content type
+ */
+const findPart = (node, contentType) => {
+    if (node.contentType === contentType) {
+        return node;
+    }
+    for (const part of node.parts) {
+        const found = findPart(part, contentType);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+};
+
+/**
+ * Parse blank-line separated "field: value" blocks (delivery-status, feedback-report)
+ * @returns {Array<Object<string, string[]>>}
+ */
+const parseFieldBlocks = text => normalizeNewlines(text)
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(parseHeaders);
+
+/**
+ * Strip the address-type prefix and angle brackets from an address field
+ * ("rfc822; <user@example.com>" -> "user@example.com")
+ */
+const parseAddressField = (value) => {
+    const address = String(value || '').replace(/^[^;]*;/, '').trim().replace(/^<(.*)>$/, '$1');
+    return address.toLowerCase();
+};
+
+module.exports = {
+    parseHeaders,
+    getHeader,
+    parseHeaderValue,
+    parseMessage,
+    findPart,
+    parseFieldBlocks,
+    parseAddressField,
+};
@@ -0,0 +1,24 @@
+const he = require('he');
+
+/**
+ * Minimal HTML pages for recipient-facing endpoints (unsubscribe, forward)
+ */
+
+/**
+ * Render a minimal HTML page
+ * @param {string} title - Page title and heading (escaped)
+ * @param {string} body - Body markup (not escaped: escape user data before passing it in)
+ * @returns {string}
+ */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${he.escape(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; text-align: center;">
+<h2>${he.escape(title)}</h2>
+${body}
+</body>
+</html>`;
+
+module.exports = {
+    renderPage,
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * Compact HMAC-signed tokens for links embedded in emails
+ * Format: base64url(JSON payload).base64url(HMAC-SHA256 signature)
+ */
+
+/**
+ * Compute signature for encoded payload
+ */
+const computeSignature = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Data to embed (keep it small, it ends up in URLs)
+ * @param {string} secret - HMAC secret
+ * @returns {string}
+ */
+const sign = (payload, secret) => {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${computeSignature(data, secret)}`;
+};
+
+/**
+ * Verify a token and return its payload
+ * Tokens with an `exp` (unix seconds) in the past are rejected
+ * @param {string} token
+ * @param {string} secret - HMAC secret
+ * @returns {Object|null} Payload, or null if the token is invalid
+ */
+const verify = (token, secret) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [data, signature] = token.split('.');
+    if (!data || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(computeSignature(data, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (payload.exp && payload.exp * 1000 < Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    sign,
+    verify,
+};
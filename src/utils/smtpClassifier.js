@@ -0,0 +1,269 @@
+/**
+ * SMTP failure classifier
+ * Parses RFC 3463 enhanced status codes and known Gmail / Outlook / Yahoo responses into a verdict:
+ * {
+ *   retryable, permanent,
+ *   category: mailbox | policy | reputation | content | rate | connection,
+ *   backoffSeconds,   // suggested delay before retrying this message (0 when permanent)
+ *   cooldownSeconds,  // suggested pause for the whole recipient domain (rate/reputation only)
+ *   suppress,         // the address itself is bad, add it to the suppression list
+ *   responseCode, enhancedStatus, provider, rule
+ * }
+ */
+
+// Nodemailer / socket error codes for failures before an SMTP reply was received
+const CONNECTION_ERROR_CODES = new Set([
+    'ETIMEDOUT',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNECTION',
+    'ESOCKET',
+    'EDNS',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ETLS',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+]);
+
+/**
+ * Provider-specific responses, checked before the generic enhanced-code rules
+ * A rule matches on one of its enhanced `codes` (with `codeText` in the response, when set) or on its text `pattern`
+ * Only the rules of the recipient's provider apply; order matters: the first match wins
+ */
+const PROVIDER_RULES = [
+    // Gmail
+    { provider: 'gmail', rule: 'gmail_unauthenticated', codes: ['5.7.26', '5.7.27'], pattern: /unauthenticated email|dmarc policy/i, category: 'policy', retryable: false },
+    { provider: 'gmail', rule: 'gmail_low_reputation', codes: ['4.7.28'], pattern: /unusual rate of unsolicited mail|very low reputation/i, category: 'reputation', retryable: true, backoffSeconds: 3600, cooldownSeconds: 1800 },
+    { provider: 'gmail', rule: 'gmail_unsolicited', pattern: /likely unsolicited mail/i, category: 'reputation', retryable: false, cooldownSeconds: 900 },
+    { provider: 'gmail', rule: 'gmail_recipient_rate', codes: ['4.2.1'], pattern: /receiving mail (at a rate|too quickly)/i, category: 'rate', retryable: true, backoffSeconds: 900 },
+    { provider: 'gmail', rule: 'gmail_over_quota', codes: ['4.2.2'], pattern: /mailbox (is )?full|over quota|out of storage space/i, category: 'mailbox', retryable: true, backoffSeconds: 3600 },
+    { provider: 'gmail', rule: 'gmail_disabled', pattern: /account .*(disabled|inactive)/i, category: 'mailbox', retryable: false, suppress: true },
+    { provider: 'gmail', rule: 'gmail_try_again_later', codes: ['4.7.0'], codeText: /try again later|too many/i, category: 'rate', retryable: true, backoffSeconds: 300, cooldownSeconds: 300 },
+
+    // Outlook / Office 365
+    { provider: 'outlook', rule: 'outlook_ip_rate_limited', codes: ['4.7.650', '4.7.651'], pattern: /rate limited due to ip reputation/i, category: 'reputation', retryable: true, backoffSeconds: 1800, cooldownSeconds: 1800 },
+    { provider: 'outlook', rule: 'outlook_server_busy', codes: ['4.7.500'], pattern: /server busy|\bS775\b|\bS843\b/i, category: 'rate', retryable: true, backoffSeconds: 600, cooldownSeconds: 600 },
+    { provider: 'outlook', rule: 'outlook_blocked', codes: ['5.7.606', '5.7.511'], pattern: /\bS3150\b|\bS3140\b|banned sending ip|on our block list/i, category: 'reputation', retryable: false, cooldownSeconds: 3600 },
+    { provider: 'outlook', rule: 'outlook_auth', codes: ['5.7.515'], pattern: /authentication requirements/i, category: 'policy', retryable: false },
+    { provider: 'outlook', rule: 'outlook_recipient_rejected', codes: ['5.4.1', '5.5.0'], codeText: /access denied|mailbox unavailable/i, pattern: /recipient address rejected: access denied/i, category: 'mailbox', retryable: false, suppress: true },
+
+    // Yahoo / AOL
+    { provider: 'yahoo', rule: 'yahoo_deferred', pattern: /\bTSS0[14]\b|\bTS0[14]\b|temporarily deferred due to unexpected volume or user complaints/i, category: 'reputation', retryable: true, backoffSeconds: 3600, cooldownSeconds: 3600 },
+    { provider: 'yahoo', rule: 'yahoo_unknown_recipients', pattern: /\bTSS11\b|excessive unknown recipients/i, category: 'reputation', retryable: true, backoffSeconds: 3600, cooldownSeconds: 3600 },
+    { provider: 'yahoo', rule: 'yahoo_blocked', pattern: /\bTSS09\b|\bTS03\b|permanently deferred/i, category: 'reputation', retryable: false, cooldownSeconds: 3600 },
+    { provider: 'yahoo', rule: 'yahoo_policy', pattern: /\bPH0[1-8]\b|not accepted for policy reasons/i, category: 'content', retryable: false },
+    { provider: 'yahoo', rule: 'yahoo_no_account', pattern: /doesn'?t have a (yahoo|aol)\.[a-z.]+ account|mailbox not found/i, category: 'mailbox', retryable: false, suppress: true },
+];
+
+// Provider of a response: MX provider groups (mxResolver), else the provider's signature in the response text
+const PROVIDER_GROUPS = { google: 'gmail', microsoft: 'outlook', yahoo: 'yahoo' };
+const PROVIDER_SIGNATURES = {
+    gmail: /gsmtp|google\.com|gmail/i,
+    outlook: /outlook\.com|hotmail|office ?365|microsoft/i,
+    yahoo: /yahoo|\baol\b|\bTSS\d\d\b|\bTS0\d\b|\bPH0\d\b/i,
+};
+
+// Permanent X.1.x / X.2.1 addressing failures that mean the mailbox doesn't exist
+const BAD_MAILBOX_TEXT = /user unknown|unknown user|no such (user|mailbox|recipient)|does not exist|doesn'?t exist|invalid (recipient|mailbox|address)|recipient not found|address not found|mailbox unavailable|address rejected/i;
+
+/**
+ * Extract the enhanced status code (class.subject.detail) that directly follows a reply code
+ * Codes elsewhere in the text (IP addresses, versions) are ignored, as is a code whose class
+ * disagrees with the reply code
+ * @param {string} text - Response text
+ * @param {number} [responseCode] - Reply code reported separately (nodemailer responseCode)
+ * @returns {string|null}
+ */
+const parseEnhancedStatus = (text, responseCode = null) => {
+    const match = String(text || '').match(/^\s*([245])\d\d[ -]([245])\.(\d{1,3})\.(\d{1,3})\b/m);
+    if (!match || match[1] !== match[2]) {
+        return null;
+    }
+    if (responseCode && String(responseCode)[0] !== match[2]) {
+        return null;
+    }
+    return `${match[2]}.${match[3]}.${match[4]}`;
+};
+
+/**
+ * Whether a provider rule matches the response
+ */
+const matchesRule = (entry, enhancedStatus, text) => {
+    if (entry.codes && entry.codes.includes(enhancedStatus) && (!entry.codeText || entry.codeText.test(text))) {
+        return true;
+    }
+    return Boolean(entry.pattern && entry.pattern.test(text));
+};
+
+/**
+ * Build a verdict with defaults filled in
+ */
+const buildVerdict = (fields) => {
+    const retryable = Boolean(fields.retryable);
+    return {
+        retryable,
+        permanent: !retryable,
+        category: fields.category,
+        backoffSeconds: retryable ? (fields.backoffSeconds ?? 60) : 0,
+        cooldownSeconds: fields.cooldownSeconds || 0,
+        suppress: !retryable && Boolean(fields.suppress),
+        responseCode: fields.responseCode || null,
+        enhancedStatus: fields.enhancedStatus || null,
+        provider: fields.provider || null,
+        rule: fields.rule,
+    };
+};
+
+/**
+ * Classify by enhanced status code (RFC 3463 subject/detail)
+ */
+const classifyEnhancedStatus = (enhancedStatus, text) => {
+    const [statusClass, subject, detail] = enhancedStatus.split('.').map(Number);
+    const retryable = statusClass === 4;
+    const rule = `enhanced_${subject}.${detail}`;
+
+    switch (subject) {
+        // Addressing
+        case 1:
+            return { rule, category: 'mailbox', retryable, suppress: !retryable && detail !== 7 && detail !== 8 };
+        // Mailbox status: 2.2 full and 2.3 too large are never about a bad address
+        case 2:
+            if (detail === 2) {
+                return { rule, category: 'mailbox', retryable: true, backoffSeconds: 3600 };
+            }
+            if (detail === 3) {
+                return { rule, category: 'content', retryable: false };
+            }
+            return { rule, category: 'mailbox', retryable, suppress: !retryable && (detail === 1 || BAD_MAILBOX_TEXT.test(text)), backoffSeconds: 600 };
+        // Mail system
+        case 3:
+            if (detail === 4) {
+                return { rule, category: 'content', retryable: false };
+            }
+            return { rule, category: 'connection', retryable: true, backoffSeconds: 300 };
+        // Network and routing
+        case 4:
+            if (detail === 7) {
+                return { rule, category: 'connection', retryable: true, backoffSeconds: 600 };
+            }
+            return { rule, category: retryable ? 'connection' : 'mailbox', retryable, suppress: !retryable && BAD_MAILBOX_TEXT.test(text), backoffSeconds: 120 };
+        // Protocol
+        case 5:
+            return { rule, category: 'policy', retryable, suppress: !retryable && BAD_MAILBOX_TEXT.test(text) };
+        // Content / media
+        case 6:
+            return { rule, category: 'content', retryable };
+        // Security or policy
+        case 7:
+            if (/spam|unsolicited|blocked|block ?list|blacklist|reputation|rbl|spamhaus/i.test(text)) {
+                return { rule, category: 'reputation', retryable, backoffSeconds: 1800, cooldownSeconds: 900 };
+            }
+            if (/rate|too many|throttl/i.test(text)) {
+                return { rule, category: 'rate', retryable, backoffSeconds: 300, cooldownSeconds: retryable ? 300 : 0 };
+            }
+            if (/content|virus|attachment|url|link/i.test(text)) {
+                return { rule, category: 'content', retryable };
+            }
+            return { rule, category: 'policy', retryable, backoffSeconds: 300 };
+        // X.0.x (other/undefined): only the text can tell
+        default:
+            if (BAD_MAILBOX_TEXT.test(text)) {
+                return { rule, category: 'mailbox', retryable, suppress: !retryable };
+            }
+            return { rule, category: 'policy', retryable };
+    }
+};
+
+/**
+ * Classify by basic reply code when no enhanced code is present
+ */
+const classifyResponseCode = (responseCode, text) => {
+    const rule = `code_${responseCode}`;
+
+    switch (responseCode) {
+        case 421:
+            return { rule, category: 'rate', retryable: true, backoffSeconds: 300, cooldownSeconds: 60 };
+        case 450:
+        case 452:
+            return { rule, category: 'mailbox', retryable: true, backoffSeconds: 600 };
+        case 451:
+            return { rule, category: 'connection', retryable: true, backoffSeconds: 300 };
+        case 550:
+        case 551:
+        case 553:
+            return BAD_MAILBOX_TEXT.test(text) || responseCode !== 550
+                ? { rule, category: 'mailbox', retryable: false, suppress: true }
+                : { rule, category: 'policy', retryable: false };
+        case 552:
+            return { rule, category: 'content', retryable: false };
+        case 554:
+            return { rule, category: 'policy', retryable: false };
+        default:
+            if (responseCode >= 400 && responseCode < 500) {
+                return { rule, category: 'connection', retryable: true, backoffSeconds: 300 };
+            }
+            return { rule, category: 'policy', retryable: false };
+    }
+};
+
+/**
+ * Provider whose rules apply to a response
+ * @param {string} text - Response text
+ * @param {string} [group] - MX provider group of the recipient domain (google, microsoft, yahoo, other)
+ * @returns {string|null} gmail, outlook, yahoo or null
+ */
+const detectProvider = (text, group) => PROVIDER_GROUPS[group]
+    || Object.keys(PROVIDER_SIGNATURES).find(provider => PROVIDER_SIGNATURES[provider].test(text))
+    || null;
+
+/**
+ * Classify an SMTP failure
+ * @param {Object} error - Nodemailer error ({ code, responseCode, response, message }) or { responseCode, response },
+ *   optionally with the enhancedStatus reported out of band (DSN Status field)
+ * @param {string} [group] - MX provider group of the recipient domain (google, microsoft, yahoo, other)
+ * @returns {Object} Verdict
+ */
+const classify = (error, group = null) => {
+    if (!error) {
+        return buildVerdict({ rule: 'none', category: 'connection', retryable: true });
+    }
+
+    const text = `${error.response || ''} ${error.message || ''}`.trim();
+    const code = String(error.code || '').toUpperCase();
+    const responseCode = Number(error.responseCode) || Number((text.match(/^\s*([245]\d\d)[\s-]/) || [])[1]) || null;
+    const enhancedStatus = (/^[245]\.\d{1,3}\.\d{1,3}$/.test(error.enhancedStatus || '') && error.enhancedStatus)
+        || parseEnhancedStatus(text, responseCode);
+
+    // No SMTP reply: the connection failed, the message was never rejected
+    if (!responseCode && CONNECTION_ERROR_CODES.has(code)) {
+        return buildVerdict({ rule: `connection_${code.toLowerCase()}`, category: 'connection', retryable: true, backoffSeconds: 30 });
+    }
+    if (!responseCode && code === 'EAUTH') {
+        return buildVerdict({ rule: 'auth', category: 'connection', retryable: true, backoffSeconds: 600 });
+    }
+
+    const provider = detectProvider(text, group);
+    const providerRule = provider && PROVIDER_RULES.find(entry => entry.provider === provider && matchesRule(entry, enhancedStatus, text));
+    if (providerRule) {
+        const { codes, codeText, pattern, ...fields } = providerRule;
+        return buildVerdict({ ...fields, responseCode, enhancedStatus });
+    }
+
+    if (enhancedStatus) {
+        return buildVerdict({ ...classifyEnhancedStatus(enhancedStatus, text), responseCode, enhancedStatus });
+    }
+
+    if (responseCode) {
+        return buildVerdict({ ...classifyResponseCode(responseCode, text), responseCode });
+    }
+
+    // Unknown local failure (e.g. message build error): retry a few times rather than drop
+    return buildVerdict({ rule: 'unknown', category: 'connection', retryable: true, backoffSeconds: 60 });
+};
+
+module.exports = {
+    parseEnhancedStatus,
+    classify,
+};
@@ -0,0 +1,176 @@
+/**
+ * Time zone helpers built on Intl (no external tz database needed)
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get (cached) Intl formatter for a time zone
+ */
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(
+            timeZone,
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+            })
+        );
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Check if a string is a valid IANA time zone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Resolve the first valid time zone from candidates, falling back to UTC
+ * @param {...string} candidates
+ * @returns {string}
+ */
+const resolveTimeZone = (...candidates) => candidates.find(isValidTimeZone) || 'UTC';
+
+/**
+ * Get local calendar/clock parts of a date in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone)
+        .formatToParts(date)
+        .forEach(({ type, value }) => {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value, 10);
+            }
+        });
+    return parts;
+};
+
+/**
+ * Get UTC offset of a time zone at a given instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC Date
+ * Month is 1-based; day overflow (e.g. day 32) rolls into the next month
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let result = guess - offset;
+
+    // Re-check across DST transitions
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+};
+
+/**
+ * Parse an 'HH:mm' time of day
+ * @param {string} value
+ * @returns {{hour: number, minute: number}|null}
+ */
+const parseTimeOfDay = (value) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+    return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+};
+
+/**
+ * Get the first occurrence of a local time of day in a time zone at or after a reference instant
+ * @param {string} timeOfDay - 'HH:mm'
+ * @param {string} timeZone
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+const nextLocalOccurrence = (timeOfDay, timeZone, after = new Date()) => {
+    const time = parseTimeOfDay(timeOfDay);
+    if (!time) {
+        throw new Error(`Invalid time of day: ${timeOfDay}`);
+    }
+
+    const local = getZonedParts(after, timeZone);
+    let candidate = zonedTimeToUtc({ ...local, ...time }, timeZone);
+    if (candidate < after) {
+        candidate = zonedTimeToUtc({ ...local, day: local.day + 1, ...time }, timeZone);
+    }
+    return candidate;
+};
+
+/**
+ * Milliseconds until a local daily window [start, end) ends, or 0 if outside the window
+ * Windows may wrap midnight (e.g. 21:00-08:00)
+ * @param {string} start - 'HH:mm'
+ * @param {string} end - 'HH:mm'
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const getRemainingWindowMs = (start, end, timeZone, now = new Date()) => {
+    const startTime = parseTimeOfDay(start);
+    const endTime = parseTimeOfDay(end);
+    if (!startTime || !endTime) {
+        return 0;
+    }
+
+    const local = getZonedParts(now, timeZone);
+    const nowMinutes = local.hour * 60 + local.minute;
+    const startMinutes = startTime.hour * 60 + startTime.minute;
+    const endMinutes = endTime.hour * 60 + endTime.minute;
+
+    const inWindow = startMinutes <= endMinutes
+        ? nowMinutes >= startMinutes && nowMinutes < endMinutes
+        : nowMinutes >= startMinutes || nowMinutes < endMinutes;
+
+    if (!inWindow) {
+        return 0;
+    }
+
+    return nextLocalOccurrence(end, timeZone, now).getTime() - now.getTime();
+};
+
+module.exports = {
+    isValidTimeZone,
+    resolveTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    parseTimeOfDay,
+    nextLocalOccurrence,
+    getRemainingWindowMs,
+};
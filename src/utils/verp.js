@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * VERP (variable envelope return path) addresses for bounce attribution
+ * Format: <local>+<statsId>-<recipientHash>-<signature>@<domain>
+ * Lower-case hex only, so MTAs that case-fold local parts don't break decoding
+ */
+
+const RECIPIENT_HASH_LENGTH = 12;
+const SIGNATURE_LENGTH = 10;
+const VERP_PATTERN = /^(.+)\+([0-9a-f]{24})-([0-9a-f]{12})-([0-9a-f]{10})@(.+)$/;
+
+/**
+ * Short hash of a recipient address (the address itself never appears in the envelope)
+ */
+const hashRecipient = email => crypto
+    .createHash('sha256')
+    .update(String(email).trim().toLowerCase())
+    .digest('hex')
+    .substring(0, RECIPIENT_HASH_LENGTH);
+
+/**
+ * Compute signature over statsId and recipient hash
+ */
+const computeSignature = (statsId, recipientHash, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(`${statsId}.${recipientHash}`)
+    .digest('hex')
+    .substring(0, SIGNATURE_LENGTH);
+
+/**
+ * Build the VERP return path for a recipient
+ * @param {string} returnPath - Base bounce address (e.g. bounces@example.com)
+ * @param {string} statsId - Campaign stats id
+ * @param {string} email - Recipient address
+ * @param {string} secret - HMAC secret
+ * @returns {string}
+ */
+const encode = (returnPath, statsId, email, secret) => {
+    const [local, domain] = String(returnPath).split('@');
+    const recipientHash = hashRecipient(email);
+    const signature = computeSignature(String(statsId).toLowerCase(), recipientHash, secret);
+    return `${local}+${String(statsId).toLowerCase()}-${recipientHash}-${signature}@${domain}`;
+};
+
+/**
+ * Decode and verify a VERP address
+ * @param {string} address - Envelope recipient of the bounce (angle brackets allowed)
+ * @param {string} secret - HMAC secret
+ * @returns {{statsId: string, recipientHash: string}|null} null if not a valid VERP address
+ */
+const decode = (address, secret) => {
+    const match = String(address || '').trim().replace(/^.*<([^>]+)>.*$/, '$1').toLowerCase().match(VERP_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [, , statsId, recipientHash, signature] = match;
+    const expected = Buffer.from(computeSignature(statsId, recipientHash, secret));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+        return null;
+    }
+
+    return { statsId, recipientHash };
+};
+
+/**
+ * Check if a decoded VERP address belongs to an email
+ */
+const matchesRecipient = (decoded, email) => Boolean(decoded && email) && decoded.recipientHash === hashRecipient(email);
+
+module.exports = {
+    hashRecipient,
+    encode,
+    decode,
+    matchesRecipient,
+};
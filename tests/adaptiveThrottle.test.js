@@ -0,0 +1,113 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const adaptiveThrottle = require('../src/services/adaptiveThrottle.service');
+
+const KEY = 'group:google';
+
+describe('adaptiveThrottle', () => {
+    const defaults = { enabled: adaptiveThrottle.enabled };
+    let now;
+
+    beforeEach(() => {
+        now = 1_700_000_000_000;
+        mock.method(Date, 'now', () => now);
+        adaptiveThrottle.enabled = true;
+        adaptiveThrottle.states = new Map();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        Object.assign(adaptiveThrottle, defaults);
+        adaptiveThrottle.states = new Map();
+    });
+
+    it('treats 421 and 4.7.x as deferrals and resets as connection resets', () => {
+        assert.equal(adaptiveThrottle.classify({ responseCode: 421 }), 'deferral');
+        assert.equal(adaptiveThrottle.classify({ responseCode: 450 }, { enhancedStatus: '4.7.28' }), 'deferral');
+        assert.equal(adaptiveThrottle.classify({ code: 'ECONNRESET' }), 'connection_reset');
+        assert.equal(adaptiveThrottle.classify({ responseCode: 550 }, { enhancedStatus: '5.1.1' }), null);
+    });
+
+    it('halves the factor on a deferral, at most once per interval', () => {
+        assert.equal(adaptiveThrottle.record(KEY, 'deferral'), true);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.5);
+
+        now += adaptiveThrottle.decreaseIntervalMs - 1;
+        assert.equal(adaptiveThrottle.record(KEY, 'deferral'), false);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.5);
+
+        now += 1;
+        assert.equal(adaptiveThrottle.record(KEY, 'deferral'), true);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.25);
+    });
+
+    it('never goes below the minimum factor', () => {
+        for (let i = 0; i < 10; i++) {
+            adaptiveThrottle.record(KEY, 'deferral');
+            now += adaptiveThrottle.decreaseIntervalMs;
+        }
+        assert.equal(adaptiveThrottle.getFactor(KEY), adaptiveThrottle.minFactor);
+    });
+
+    it('adds the increase step back after rampUpSends successes', () => {
+        adaptiveThrottle.record(KEY, 'deferral');
+
+        for (let i = 1; i < adaptiveThrottle.rampUpSends; i++) {
+            assert.equal(adaptiveThrottle.record(KEY, 'success'), false);
+        }
+        assert.equal(adaptiveThrottle.record(KEY, 'success'), true);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.6);
+    });
+
+    it('starts the success streak over after a deferral', () => {
+        adaptiveThrottle.record(KEY, 'deferral');
+        for (let i = 1; i < adaptiveThrottle.rampUpSends; i++) {
+            adaptiveThrottle.record(KEY, 'success');
+        }
+
+        // Within the decrease interval: the factor stays, the streak is lost
+        adaptiveThrottle.record(KEY, 'deferral');
+        assert.equal(adaptiveThrottle.record(KEY, 'success'), false);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.5);
+    });
+
+    it('does not ramp up a key at full rate', () => {
+        assert.equal(adaptiveThrottle.record(KEY, 'success'), false);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 1);
+    });
+
+    it('decreases only on a spike of connection resets within the window', () => {
+        for (let i = 1; i < adaptiveThrottle.resetSpikeThreshold; i++) {
+            assert.equal(adaptiveThrottle.record(KEY, 'connection_reset'), false);
+        }
+
+        // Older resets fall out of the window
+        now += adaptiveThrottle.resetWindowMs;
+        assert.equal(adaptiveThrottle.record(KEY, 'connection_reset'), false);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 1);
+
+        for (let i = 1; i < adaptiveThrottle.resetSpikeThreshold - 1; i++) {
+            adaptiveThrottle.record(KEY, 'connection_reset');
+        }
+        assert.equal(adaptiveThrottle.record(KEY, 'connection_reset'), true);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 0.5);
+    });
+
+    it('scales the limits by the factor and keeps the burst at least 1', () => {
+        adaptiveThrottle.record(KEY, 'deferral');
+        now += adaptiveThrottle.decreaseIntervalMs;
+        adaptiveThrottle.record(KEY, 'deferral');
+
+        assert.deepEqual(adaptiveThrottle.apply(KEY, { perMinute: 100, perHour: 2000, burst: 2 }), { perMinute: 25, perHour: 500, burst: 1 });
+        assert.deepEqual(adaptiveThrottle.apply('group:other', { perMinute: 100 }), { perMinute: 100 });
+    });
+
+    it('does nothing when disabled', () => {
+        adaptiveThrottle.enabled = false;
+
+        assert.equal(adaptiveThrottle.record(KEY, 'deferral'), false);
+        assert.equal(adaptiveThrottle.getFactor(KEY), 1);
+    });
+});
@@ -0,0 +1,120 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Stats = require('../src/models/stats.model');
+const bounceService = require('../src/services/bounce.service');
+const suppressionService = require('../src/services/suppression.service');
+const verp = require('../src/utils/verp');
+const config = require('../src/config/config');
+
+const STATS_ID = '65a1b2c3d4e5f60718293a4b';
+
+/**
+ * Multipart/report DSN with one per-recipient block per entry
+ */
+const buildDsn = ({ to = 'bounces@example.com', recipients, originalHeaders = 'Message-ID: <1.abc@example.com>\r\nSubject: Hello' }) => [
+    'From: Mail Delivery System <MAILER-DAEMON@mx.example.net>',
+    `To: ${to}`,
+    'Subject: Undelivered Mail Returned to Sender',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'Your message could not be delivered.',
+    '',
+    '--b1',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.net',
+    '',
+    recipients.map(recipient => [
+        `Final-Recipient: rfc822; ${recipient.email}`,
+        `Action: ${recipient.action}`,
+        `Status: ${recipient.status}`,
+        ...(recipient.diagnostic ? [`Diagnostic-Code: smtp; ${recipient.diagnostic}`] : []),
+    ].join('\r\n')).join('\r\n\r\n'),
+    '',
+    '--b1',
+    'Content-Type: text/rfc822-headers',
+    '',
+    originalHeaders,
+    '',
+    '--b1--',
+    '',
+].join('\r\n');
+
+describe('bounceService', () => {
+    let stats;
+    let suppressed;
+
+    beforeEach(() => {
+        stats = [];
+        suppressed = [];
+        mock.method(Stats, 'updateOne', async (filter, update) => stats.push([String(filter._id), update.$addToSet.bounces]));
+        mock.method(suppressionService, 'suppress', async (email, reason) => suppressed.push([email, reason]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('parses the reporting MTA and every per-recipient block', () => {
+        const dsn = bounceService.parseDsn(buildDsn({
+            recipients: [
+                { email: 'ann@example.com', action: 'failed', status: '5.1.1', diagnostic: '550 5.1.1 User unknown' },
+                { email: 'bob@example.com', action: 'delayed', status: '4.4.7' },
+            ],
+        }));
+
+        assert.equal(dsn.reportingMta, 'mx.example.net');
+        assert.deepEqual(dsn.recipients.map(({ finalRecipient, action, status, diagnosticCode }) => ({ finalRecipient, action, status, diagnosticCode })), [
+            { finalRecipient: 'ann@example.com', action: 'failed', status: '5.1.1', diagnosticCode: '550 5.1.1 User unknown' },
+            { finalRecipient: 'bob@example.com', action: 'delayed', status: '4.4.7', diagnosticCode: '' },
+        ]);
+        assert.deepEqual(dsn.originalHeaders['message-id'], ['<1.abc@example.com>']);
+    });
+
+    it('returns null for a message that is not a DSN', () => {
+        assert.equal(bounceService.parseDsn('From: ann@example.com\r\nSubject: Out of office\r\n\r\nBack on Monday'), null);
+    });
+
+    it('classifies only permanent address failures as hard bounces', () => {
+        assert.equal(bounceService.classify({ action: 'failed', status: '5.1.1', diagnosticCode: '550 5.1.1 User unknown' }), 'hard');
+        assert.equal(bounceService.classify({ action: 'failed', status: '5.2.2', diagnosticCode: '552 5.2.2 Mailbox full' }), 'soft');
+        assert.equal(bounceService.classify({ action: 'failed', status: '5.7.1', diagnosticCode: '554 5.7.1 Your IP 52.4.1.3 is listed' }), 'soft');
+        assert.equal(bounceService.classify({ action: 'delayed', status: '4.4.7' }), 'delayed');
+        assert.equal(bounceService.classify({ action: 'delivered', status: '2.0.0' }), null);
+    });
+
+    it('attributes a bounce through the VERP address and suppresses only hard bounces', async () => {
+        const returnPath = verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', config.security.secretKey);
+        const result = await bounceService.processMessage(buildDsn({
+            to: returnPath,
+            recipients: [
+                { email: 'ann@example.com', action: 'failed', status: '5.1.1', diagnostic: '550 5.1.1 User unknown' },
+                { email: 'bob@example.com', action: 'failed', status: '4.2.2', diagnostic: '452 4.2.2 Mailbox full' },
+                { email: 'cat@example.com', action: 'delayed', status: '4.4.7' },
+            ],
+        }));
+
+        assert.equal(result.isDsn, true);
+        assert.deepEqual(result.bounces.map(bounce => [bounce.email, bounce.type, bounce.statsId]), [
+            ['ann@example.com', 'hard', STATS_ID],
+            ['bob@example.com', 'soft', STATS_ID],
+        ]);
+        assert.deepEqual(stats, [[STATS_ID, 'ann@example.com'], [STATS_ID, 'bob@example.com']]);
+        assert.deepEqual(suppressed, [['ann@example.com', 'hard_bounce']]);
+    });
+
+    it('ignores a forged VERP signature', async () => {
+        const returnPath = verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', 'other-secret');
+        const result = await bounceService.processMessage(buildDsn({
+            to: returnPath,
+            recipients: [{ email: 'ann@example.com', action: 'failed', status: '5.1.1' }],
+        }));
+
+        assert.equal(result.bounces[0].statsId, null);
+        assert.deepEqual(stats, []);
+    });
+});
@@ -0,0 +1,42 @@
+require('./helpers/env');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const campaignProducer = require('../src/services/campaignProducer.service');
+const sqsService = require('../src/services/sqs.service');
+
+const campaignSend = {
+    _id: new mongoose.Types.ObjectId(),
+    campaignId: new mongoose.Types.ObjectId(),
+    statsId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    mailsubject: 'Hello',
+    fromName: 'Sender',
+};
+
+describe('campaignProducer.buildEntry', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('puts every recipient of a FIFO send in its own message group', () => {
+        mock.method(sqsService, 'isFifoQueue', () => true);
+
+        const entries = ['ann@example.com', 'bob@example.com', 'cat@example.com'].map((email, index) =>
+            campaignProducer.buildEntry(campaignSend, { email, contact: null, timezone: 'UTC' }, index * 10));
+
+        const groups = entries.map(entry => entry.MessageGroupId);
+        assert.equal(new Set(groups).size, entries.length);
+        entries.forEach((entry) => {
+            assert.equal(entry.MessageGroupId, JSON.parse(entry.MessageBody).idempotencyKey);
+            assert.equal(entry.MessageDeduplicationId, entry.MessageGroupId);
+        });
+    });
+
+    it('leaves group and deduplication ids out on a standard queue', () => {
+        mock.method(sqsService, 'isFifoQueue', () => false);
+
+        const entry = campaignProducer.buildEntry(campaignSend, { email: 'ann@example.com', contact: null, timezone: 'UTC' }, 0);
+        assert.equal(entry.MessageGroupId, undefined);
+        assert.equal(entry.MessageDeduplicationId, undefined);
+    });
+});
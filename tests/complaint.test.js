@@ -0,0 +1,123 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Stats = require('../src/models/stats.model');
+const Delivery = require('../src/models/delivery.model');
+const complaintService = require('../src/services/complaint.service');
+const suppressionService = require('../src/services/suppression.service');
+const verp = require('../src/utils/verp');
+const config = require('../src/config/config');
+
+const STATS_ID = '65a1b2c3d4e5f60718293a4b';
+const CAMPAIGN_ID = '65a1b2c3d4e5f60718293a4c';
+
+/**
+ * Multipart/report ARF message
+ */
+const buildArf = ({ feedbackType = 'abuse', mailFrom = 'bounces@example.com', rcptTo = 'ann@example.com', originalHeaders = 'Message-ID: <1.abc@example.com>\r\nSubject: Hello' } = {}) => [
+    'From: Feedback Loop <fbl@isp.example>',
+    'To: fbl@example.com',
+    'Subject: Complaint',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/report; report-type=feedback-report; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'This is an email abuse report.',
+    '',
+    '--b1',
+    'Content-Type: message/feedback-report',
+    '',
+    `Feedback-Type: ${feedbackType}`,
+    'User-Agent: ISP-FBL/1.0',
+    'Version: 1',
+    `Original-Mail-From: <${mailFrom}>`,
+    ...(rcptTo ? [`Original-Rcpt-To: <${rcptTo}>`] : []),
+    'Source-IP: 192.0.2.1',
+    'Arrival-Date: Thu, 8 Mar 2024 14:00:00 +0000',
+    '',
+    '--b1',
+    'Content-Type: text/rfc822-headers',
+    '',
+    originalHeaders,
+    '',
+    '--b1--',
+    '',
+].join('\r\n');
+
+describe('complaintService', () => {
+    let counted;
+    let suppressed;
+
+    beforeEach(() => {
+        counted = [];
+        suppressed = [];
+        mock.method(Stats, 'updateOne', async (filter, update) => counted.push([String(filter._id), update.$addToSet.complaints]));
+        mock.method(suppressionService, 'suppress', async (email, reason) => suppressed.push([email, reason]));
+        mock.method(complaintService, 'checkThreshold', async () => false);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('parses the feedback report fields and the original headers', () => {
+        const report = complaintService.parseReport(buildArf());
+
+        assert.equal(report.feedbackType, 'abuse');
+        assert.equal(report.userAgent, 'ISP-FBL/1.0');
+        assert.equal(report.originalMailFrom, 'bounces@example.com');
+        assert.equal(report.originalRcptTo, 'ann@example.com');
+        assert.equal(report.sourceIp, '192.0.2.1');
+        assert.equal(report.messageId, '<1.abc@example.com>');
+    });
+
+    it('returns null for a message that is not a feedback report', () => {
+        assert.equal(complaintService.parseReport('From: ann@example.com\r\nSubject: Hi\r\n\r\nHello'), null);
+    });
+
+    it('counts a complaint attributed through VERP against the campaign in the ledger', async () => {
+        const mailFrom = verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', config.security.secretKey);
+        mock.method(Delivery, 'findOne', (filter) => {
+            assert.deepEqual(filter, { recipient: 'ann@example.com', status: 'sent', statsId: STATS_ID });
+            return { sort: () => ({ select: () => ({ lean: async () => ({ statsId: STATS_ID, campaignId: CAMPAIGN_ID }) }) }) };
+        });
+
+        const { complaint } = await complaintService.processMessage(buildArf({ mailFrom }));
+
+        assert.equal(complaint.email, 'ann@example.com');
+        assert.equal(complaint.campaignId, CAMPAIGN_ID);
+        assert.equal(complaint.inLedger, true);
+        assert.deepEqual(suppressed, [['ann@example.com', 'complaint']]);
+        assert.deepEqual(counted, [[STATS_ID, 'ann@example.com']]);
+    });
+
+    it('suppresses but does not count a complaint with no sent delivery', async () => {
+        mock.method(Delivery, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+
+        const { complaint } = await complaintService.processMessage(buildArf());
+
+        assert.equal(complaint.inLedger, false);
+        assert.deepEqual(suppressed, [['ann@example.com', 'complaint']]);
+        assert.deepEqual(counted, []);
+    });
+
+    it('finds the recipient of a redacted report by its Message-ID', async () => {
+        mock.method(Delivery, 'findByMessageId', async (messageId) => {
+            assert.equal(messageId, '<1.abc@example.com>');
+            return { recipient: 'ann@example.com', statsId: STATS_ID, campaignId: CAMPAIGN_ID, status: 'sent' };
+        });
+
+        const { complaint } = await complaintService.processMessage(buildArf({ rcptTo: null }));
+
+        assert.equal(complaint.email, 'ann@example.com');
+        assert.deepEqual(counted, [[STATS_ID, 'ann@example.com']]);
+    });
+
+    it('ignores reports that are not complaints', async () => {
+        const result = await complaintService.processMessage(buildArf({ feedbackType: 'not-spam' }));
+
+        assert.deepEqual(result, { isReport: true, complaint: null });
+        assert.deepEqual(suppressed, []);
+    });
+});
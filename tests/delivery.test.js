@@ -0,0 +1,94 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Delivery = require('../src/models/delivery.model');
+const deliveryService = require('../src/services/delivery.service');
+
+/**
+ * In-memory stand-in for Delivery.updateOne: key filter, optional status $ne, upsert on a unique key
+ */
+const fakeLedger = () => {
+    const rows = new Map();
+    mock.method(Delivery, 'updateOne', async (filter, update, options = {}) => {
+        const row = rows.get(filter.key);
+        const matches = row && (!filter.status || row.status !== filter.status.$ne);
+
+        if (matches) {
+            Object.assign(row, update.$set);
+            return { matchedCount: 1 };
+        }
+        if (!options.upsert) {
+            return { matchedCount: 0 };
+        }
+        if (row) {
+            const error = new Error(`E11000 duplicate key error dup key: { key: "${filter.key}" }`);
+            error.code = 11000;
+            throw error;
+        }
+
+        rows.set(filter.key, { ...update.$setOnInsert, ...update.$set });
+        return { matchedCount: 0, upsertedCount: 1 };
+    });
+    return rows;
+};
+
+const message = {
+    messageId: 'sqs-1',
+    to: 'ann@example.com',
+    subject: 'Hello',
+    content: '<p>Hi</p>',
+    metadata: { idempotencyKey: 'key-1' },
+};
+
+describe('deliveryService.recordResult', () => {
+    let rows;
+
+    beforeEach(() => {
+        rows = fakeLedger();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('records a send', async () => {
+        await deliveryService.recordResult(message, { success: true, messageId: '<m1@example.com>', attempt: 1 }, 'cron');
+
+        assert.equal(rows.get('key-1').status, 'sent');
+        assert.equal(rows.get('key-1').messageId, '<m1@example.com>');
+    });
+
+    it('keeps a sent row sent when a redelivery is deferred, suppressed or fails', async () => {
+        await deliveryService.recordResult(message, { success: true, messageId: '<m1@example.com>', attempt: 1 }, 'cron');
+
+        const redeliveries = [
+            { success: false, deferred: true, reason: 'quiet_hours', retryAfterSeconds: 600 },
+            { success: false, deferred: true, reason: 'in_progress', retryAfterSeconds: 600 },
+            { success: false, suppressed: true, reason: 'unsubscribe' },
+            { success: false, isRetryable: true, error: 'connection reset', attempt: 1 },
+        ];
+        for (const result of redeliveries) {
+            await deliveryService.recordResult({ ...message, messageId: 'sqs-2' }, result, 'cron');
+        }
+
+        assert.equal(rows.get('key-1').status, 'sent');
+        assert.equal(rows.get('key-1').messageId, '<m1@example.com>');
+        assert.equal(rows.get('key-1').sqsMessageId, 'sqs-1');
+    });
+
+    it('updates rows that are not sent yet', async () => {
+        await deliveryService.recordResult(message, { success: false, deferred: true, reason: 'quiet_hours', retryAfterSeconds: 600 }, 'cron');
+        assert.equal(rows.get('key-1').status, 'deferred');
+
+        await deliveryService.recordResult(message, { success: true, messageId: '<m1@example.com>', attempt: 1 }, 'cron');
+        assert.equal(rows.get('key-1').status, 'sent');
+    });
+
+    it('does not dead-letter a sent row', async () => {
+        await deliveryService.recordResult(message, { success: true, messageId: '<m1@example.com>', attempt: 1 }, 'cron');
+        await deliveryService.recordDeadLettered(message, 'Max failures (5) reached');
+
+        assert.equal(rows.get('key-1').status, 'sent');
+    });
+});
@@ -0,0 +1,111 @@
+require('./helpers/env');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DomainPolicy = require('../src/models/domainPolicy.model');
+const domainPolicy = require('../src/services/domainPolicy.service');
+
+const find = (entries) => mock.method(DomainPolicy, 'find', () => ({ lean: async () => entries }));
+
+describe('domainPolicy', () => {
+    const defaults = { source: domainPolicy.source, stats: { ...domainPolicy.stats } };
+
+    afterEach(() => {
+        mock.restoreAll();
+        Object.assign(domainPolicy, { source: defaults.source, stats: { ...defaults.stats } });
+        domainPolicy.setPolicy({});
+    });
+
+    describe('validate', () => {
+        it('fills the sections a policy leaves out from the built-in policy', () => {
+            const policy = domainPolicy.validate({ default: { perMinute: 10 } });
+
+            assert.deepEqual(policy.default, { perMinute: 10 });
+            assert.deepEqual(policy.global, { perSecond: 35, burst: 10 });
+            assert.deepEqual(Object.keys(policy.groups).sort(), ['google', 'microsoft', 'yahoo']);
+        });
+
+        it('rejects entries without a window and unknown or invalid fields', () => {
+            assert.throws(() => domainPolicy.validate({ default: { burst: 5 } }), /Domain policy validation error/);
+            assert.throws(() => domainPolicy.validate({ domains: { 'example.com': { perMinute: -1 } } }), /domains\.example\.com\.perMinute/);
+            assert.throws(() => domainPolicy.validate({ domains: { 'example.com': { perMinute: 5, perWeek: 5 } } }), /perWeek/);
+            assert.throws(() => domainPolicy.validate({ global: { perSecond: 10, cooldownSeconds: 60 } }), /cooldownSeconds/);
+        });
+
+        it('replaces a built-in group of the same name and removes a disabled one', () => {
+            const policy = domainPolicy.validate({
+                groups: {
+                    Google: { perMinute: 5 },
+                    yahoo: { enabled: false },
+                    corporate: { perMinute: 50, domains: [' Example.COM '] },
+                },
+            });
+
+            assert.deepEqual(policy.groups.google, { perMinute: 5, domains: [] });
+            assert.equal(policy.groups.yahoo, undefined);
+            assert.deepEqual(policy.groups.corporate.domains, ['example.com']);
+        });
+    });
+
+    describe('resolve', () => {
+        it('prefers the domain entry, then a listing group, then the MX provider group, then the default', () => {
+            domainPolicy.setPolicy({
+                default: { perMinute: 30, burst: 5, cooldownSeconds: 60 },
+                groups: { corporate: { perHour: 100, domains: ['corp.example'] } },
+                domains: { 'own.example': { perMinute: 2 } },
+            });
+
+            assert.equal(domainPolicy.resolve('own.example', 'google').key, 'domain:own.example');
+            assert.equal(domainPolicy.resolve('corp.example', 'google').key, 'group:corporate');
+            assert.equal(domainPolicy.resolve('hosted.example', 'google').key, 'group:google');
+            assert.equal(domainPolicy.resolve('other.example', 'other').key, 'domain:other.example');
+            assert.equal(domainPolicy.resolve('other.example', 'other').type, 'default');
+        });
+
+        it('inherits unset fields from the group, then the default', () => {
+            domainPolicy.setPolicy({
+                default: { perMinute: 30, burst: 5, cooldownSeconds: 60, maxConnections: 4 },
+                groups: { corporate: { perHour: 100, burst: 2, domains: ['corp.example'] } },
+            });
+
+            const resolved = domainPolicy.resolve('corp.example');
+            assert.deepEqual(resolved.limits, { perMinute: 30, burst: 2, perHour: 100 });
+            assert.equal(resolved.cooldownSeconds, 60);
+            assert.equal(resolved.maxConnections, 4);
+        });
+
+        it('drops the cached resolutions when a new policy is applied', () => {
+            assert.deepEqual(domainPolicy.resolve('example.com').limits, { perMinute: 30, burst: 5 });
+
+            domainPolicy.setPolicy({ domains: { 'example.com': { perMinute: 3 } } });
+            assert.deepEqual(domainPolicy.resolve('example.com').limits, { perMinute: 3, burst: 5 });
+        });
+    });
+
+    describe('reload', () => {
+        it('builds the policy from the enabled DomainPolicy documents', async () => {
+            domainPolicy.source = 'mongo';
+            find([
+                { type: 'default', name: 'default', enabled: true, perMinute: 12 },
+                { type: 'group', name: 'microsoft', enabled: false },
+                { type: 'domain', name: 'example.com', enabled: true, perMinute: 6, domains: ['ignored.example'] },
+            ]);
+
+            assert.equal(await domainPolicy.reload(), true);
+            assert.equal(domainPolicy.policy.groups.microsoft, undefined);
+            assert.deepEqual(domainPolicy.resolve('example.com').limits, { perMinute: 6 });
+            assert.deepEqual(domainPolicy.resolve('other.example').limits, { perMinute: 12 });
+        });
+
+        it('keeps the current policy when the new one is invalid', async () => {
+            domainPolicy.source = 'mongo';
+            domainPolicy.setPolicy({ domains: { 'example.com': { perMinute: 3 } } });
+            find([{ type: 'domain', name: 'example.com', enabled: true, perMinute: 0 }]);
+
+            assert.equal(await domainPolicy.reload(), false);
+            assert.equal(domainPolicy.stats.failures, 1);
+            assert.match(domainPolicy.stats.lastError, /validation error/);
+            assert.deepEqual(domainPolicy.resolve('example.com').limits, { perMinute: 3, burst: 5 });
+        });
+    });
+});
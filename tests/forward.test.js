@@ -0,0 +1,69 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CampaignSend = require('../src/models/campaignSend.model');
+const forwardService = require('../src/services/forward.service');
+const campaignProducer = require('../src/services/campaignProducer.service');
+const suppressionService = require('../src/services/suppression.service');
+const deliveryService = require('../src/services/delivery.service');
+const sqsService = require('../src/services/sqs.service');
+
+const campaignSend = {
+    _id: new mongoose.Types.ObjectId(),
+    campaignId: new mongoose.Types.ObjectId(),
+    statsId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    mailsubject: 'Hello',
+    fromName: 'Sender',
+};
+
+const token = () => forwardService.generateToken('ann@example.com', {
+    statsId: campaignSend.statsId,
+    campaignSendId: campaignSend._id,
+});
+
+describe('forwardService.forward', () => {
+    let calls;
+
+    beforeEach(() => {
+        calls = [];
+        mock.method(suppressionService, 'isSuppressed', async () => false);
+        mock.method(CampaignSend, 'findById', () => ({ lean: async () => campaignSend }));
+        mock.method(forwardService, 'reserveForward', async () => true);
+        mock.method(forwardService, 'releaseForward', async () => calls.push('releaseForward'));
+        mock.method(campaignProducer, 'getUserTimeZone', async () => 'UTC');
+        mock.method(deliveryService, 'recordQueued', async (messages) => calls.push(['recordQueued', messages[0].to]));
+        mock.method(deliveryService, 'recordEnqueueFailed', async (messages, reason) => calls.push(['recordEnqueueFailed', messages[0].to, reason]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('records the delivery as queued before sending it to the queue', async () => {
+        mock.method(sqsService, 'sendMessageBatch', async () => {
+            calls.push('sendMessageBatch');
+            return { successful: [{ Id: '0' }], failed: [] };
+        });
+
+        const result = await forwardService.forward(token(), 'Bob@Example.com');
+
+        assert.equal(result.status, 'queued');
+        assert.deepEqual(calls, [['recordQueued', 'bob@example.com'], 'sendMessageBatch']);
+    });
+
+    it('marks the delivery failed and gives back the slot when the send fails', async () => {
+        mock.method(sqsService, 'sendMessageBatch', async () => {
+            throw new Error('Throttled');
+        });
+
+        const result = await forwardService.forward(token(), 'bob@example.com');
+
+        assert.equal(result.status, 'failed');
+        assert.deepEqual(calls, [
+            ['recordQueued', 'bob@example.com'],
+            ['recordEnqueueFailed', 'bob@example.com', 'Throttled'],
+            'releaseForward',
+        ]);
+    });
+});
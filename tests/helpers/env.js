@@ -0,0 +1,34 @@
+/**
+ * Minimal environment for loading services in tests (config validation needs every required variable)
+ * Variables already set (e.g. from a CI environment) are kept
+ */
+const testEnv = {
+    APP_NAME: 'smtp-process-test',
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    MONGODB_URL: 'mongodb://127.0.0.1:27017/smtp-process-test',
+    JWT_SECRET: 'test',
+    CUSTOM_AWS_SECRET_ACCESS: 'test',
+    CUSTOM_AWS_ACCESS_KEY: 'test',
+    CUSTOM_AWS_REGION: 'ap-south-1',
+    SQS_QUEUE_NAME: 'test',
+    FRONTEND_URL: 'http://localhost:3000',
+    LINK_SALT: 'test',
+    SERVER_URL: 'http://localhost:8000',
+    SECRET_KEY: 'test',
+    UNSUBSCRIBE_SECRET_KEY: 'test',
+    FORWARD_SECRET_KEY: 'test',
+    SMTP_HOST: 'localhost',
+    SMTP_PORT: '2525',
+    SMTP_USER: 'test',
+    SMTP_PASSWORD: 'test',
+    SMTP_FROM: 'test@example.com',
+    SMTP_SECURE: 'false',
+    SMTP_POOL: 'false',
+};
+
+Object.entries(testEnv).forEach(([name, value]) => {
+    if (process.env[name] === undefined) {
+        process.env[name] = value;
+    }
+});
@@ -0,0 +1,74 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const idempotencyService = require('../src/services/idempotency.service');
+
+const { MemoryIdempotencyStore } = idempotencyService;
+
+describe('idempotencyService with the memory store', () => {
+    const defaultStore = idempotencyService.store;
+    let now;
+
+    beforeEach(() => {
+        now = 1_700_000_000_000;
+        mock.method(Date, 'now', () => now);
+        idempotencyService.setStore(new MemoryIdempotencyStore());
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        idempotencyService.setStore(defaultStore);
+    });
+
+    it('lets only one worker hold a key', async () => {
+        const first = await idempotencyService.claim('key-1');
+        const second = await idempotencyService.claim('key-1');
+
+        assert.equal(first.claimed, true);
+        assert.equal(second.claimed, false);
+        assert.equal(second.status, 'claimed');
+        assert.equal(second.retryAfterSeconds, idempotencyService.leaseMs / 1000);
+    });
+
+    it('skips redeliveries of a committed key within the window', async () => {
+        const { owner } = await idempotencyService.claim('key-1');
+        assert.equal(await idempotencyService.commit('key-1', owner, { messageId: '<id@example.com>' }), true);
+
+        now += idempotencyService.leaseMs * 2;
+        assert.deepEqual(await idempotencyService.claim('key-1'), { claimed: false, status: 'committed' });
+
+        now += idempotencyService.windowMs;
+        assert.equal((await idempotencyService.claim('key-1')).claimed, true);
+    });
+
+    it('frees a released key for the next delivery', async () => {
+        const { owner } = await idempotencyService.claim('key-1');
+        await idempotencyService.release('key-1', owner);
+
+        assert.equal((await idempotencyService.claim('key-1')).claimed, true);
+    });
+
+    it('ignores a release or commit from a worker that does not hold the key', async () => {
+        await idempotencyService.claim('key-1');
+        await idempotencyService.release('key-1', 'someone-else');
+
+        assert.equal((await idempotencyService.claim('key-1')).claimed, false);
+        assert.equal(await idempotencyService.commit('key-1', 'someone-else'), false);
+    });
+
+    it('lets another worker take over a claim after its lease', async () => {
+        const crashed = await idempotencyService.claim('key-1');
+
+        now += idempotencyService.leaseMs - 1;
+        assert.equal((await idempotencyService.claim('key-1')).claimed, false);
+
+        now += 1;
+        const takeover = await idempotencyService.claim('key-1');
+        assert.equal(takeover.claimed, true);
+
+        // The crashed worker's late commit no longer counts
+        assert.equal(await idempotencyService.commit('key-1', crashed.owner), false);
+        assert.equal(await idempotencyService.commit('key-1', takeover.owner), true);
+    });
+});
@@ -0,0 +1,77 @@
+require('./helpers/env');
+
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const lambdaProcessor = require('../src/services/lambdaProcessor.service');
+const campaignProducer = require('../src/services/campaignProducer.service');
+const templateService = require('../src/services/template.service');
+const rateLimiter = require('../src/services/rateLimiter.service');
+
+const campaignSend = {
+    _id: new mongoose.Types.ObjectId(),
+    campaignId: new mongoose.Types.ObjectId(),
+    statsId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    mailsubject: 'Hello {{first_name}}',
+    fromName: 'Sender',
+};
+
+/**
+ * Lambda SQS event record carrying a producer message
+ */
+const producerRecord = () => {
+    const recipient = { email: 'ann@example.com', contact: null, timezone: 'UTC' };
+    const entry = campaignProducer.buildEntry(campaignSend, recipient, 0);
+    return {
+        messageId: 'message-1',
+        receiptHandle: 'handle-1',
+        body: entry.MessageBody,
+        attributes: { ApproximateReceiveCount: '1' },
+        messageAttributes: {},
+    };
+};
+
+describe('lambdaProcessor producer messages', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(() => {
+        rateLimiter.destroy();
+    });
+
+    it('leaves the content of template messages unset', () => {
+        const parsed = lambdaProcessor.parseSQSMessage(producerRecord());
+
+        assert.equal(parsed.content, undefined);
+        assert.equal(parsed.metadata.templateId, String(campaignSend.campaignId));
+    });
+
+    it('renders the campaign template for a parsed producer message', async () => {
+        mock.method(templateService, 'getTemplate', async () => ({ subject: 'unused', html: '<p>Hi {{name}}</p>' }));
+        mock.method(templateService, 'getContact', async () => null);
+
+        const parsed = lambdaProcessor.parseSQSMessage(producerRecord());
+        const rendered = await templateService.renderForRecipient(parsed.to, parsed.subject, parsed.content, {
+            ...parsed.metadata,
+            variables: { name: 'Ann & Bob' },
+        }, parsed.contentType);
+
+        assert.equal(rendered.content, '<p>Hi Ann &amp; Bob</p>');
+        assert.equal(rendered.contentType, 'html');
+        assert.equal(rendered.subject, 'Hello Ann');
+    });
+
+    it('treats non-string content as missing', async () => {
+        mock.method(templateService, 'getTemplate', async () => ({ subject: 'Subject', html: '<p>Template</p>' }));
+        mock.method(templateService, 'getContact', async () => null);
+
+        const rendered = await templateService.renderForRecipient('ann@example.com', '', { to: 'ann@example.com' }, {
+            templateId: String(campaignSend.campaignId),
+        });
+
+        assert.equal(rendered.content, '<p>Template</p>');
+        assert.equal(templateService.render({ not: 'a string' }), '');
+    });
+});
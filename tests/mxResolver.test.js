@@ -0,0 +1,133 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mxResolver = require('../src/services/mxResolver.service');
+
+const defaults = {
+    failureTtlMs: mxResolver.failureTtlMs,
+    lookupTimeoutMs: mxResolver.lookupTimeoutMs,
+};
+
+/**
+ * Stub resolver returning fixed MX records per domain; unknown domains fail like ENOTFOUND
+ */
+const stubResolver = (records) => mock.fn(async (domain) => {
+    if (!records[domain]) {
+        const error = new Error(`queryMx ENOTFOUND ${domain}`);
+        error.code = 'ENOTFOUND';
+        throw error;
+    }
+    return records[domain];
+});
+
+describe('mxResolver', () => {
+    beforeEach(() => {
+        mxResolver.stats = { lookups: 0, failures: 0, cacheHits: 0 };
+    });
+
+    afterEach(() => {
+        Object.assign(mxResolver, defaults);
+        mock.restoreAll();
+    });
+
+    describe('classify', () => {
+        it('classifies Google Workspace MX hosts as google', () => {
+            assert.equal(mxResolver.classify([
+                { exchange: 'alt1.aspmx.l.google.com', priority: 5 },
+                { exchange: 'aspmx.l.google.com', priority: 1 },
+            ]), 'google');
+            assert.equal(mxResolver.classify([{ exchange: 'smtp.google.com.', priority: 1 }]), 'google');
+        });
+
+        it('classifies Microsoft 365 MX hosts as microsoft', () => {
+            assert.equal(mxResolver.classify([{ exchange: 'contoso-com.mail.protection.outlook.com', priority: 0 }]), 'microsoft');
+        });
+
+        it('uses the lowest priority host first', () => {
+            assert.equal(mxResolver.classify([
+                { exchange: 'aspmx.l.google.com', priority: 20 },
+                { exchange: 'contoso-com.mail.protection.outlook.com', priority: 10 },
+            ]), 'microsoft');
+        });
+
+        it('does not match provider names inside other hosts', () => {
+            assert.equal(mxResolver.classify([{ exchange: 'mx.notgoogle.com', priority: 10 }]), 'other');
+            assert.equal(mxResolver.classify([{ exchange: 'google.com.mx.example.net', priority: 10 }]), 'other');
+            assert.equal(mxResolver.classify([]), 'other');
+        });
+    });
+
+    describe('getGroup', () => {
+        it('resolves well-known consumer domains without a lookup', async () => {
+            const resolver = stubResolver({});
+            mxResolver.setResolver(resolver);
+
+            assert.equal(await mxResolver.getGroup('gmail.com'), 'google');
+            assert.equal(await mxResolver.getGroup('hotmail.com'), 'microsoft');
+            assert.equal(resolver.mock.callCount(), 0);
+        });
+
+        it('caches lookups and shares concurrent ones', async () => {
+            const resolver = stubResolver({ 'corp.example': [{ exchange: 'aspmx.l.google.com', priority: 1 }] });
+            mxResolver.setResolver(resolver);
+
+            const groups = await Promise.all([mxResolver.getGroup('corp.example'), mxResolver.getGroup('corp.example')]);
+            assert.deepEqual(groups, ['google', 'google']);
+            assert.equal(await mxResolver.getGroup('corp.example'), 'google');
+
+            assert.equal(resolver.mock.callCount(), 1);
+            assert.equal(mxResolver.getStats().cacheHits, 1);
+        });
+
+        it('caches failed lookups as other until the failure TTL expires', async () => {
+            let now = Date.now();
+            mock.method(Date, 'now', () => now);
+
+            const records = {};
+            const resolver = stubResolver(records);
+            mxResolver.setResolver(resolver);
+
+            assert.equal(await mxResolver.getGroup('flaky.example'), 'other');
+            assert.equal(mxResolver.getStats().failures, 1);
+
+            // DNS recovers, but the failure is cached
+            records['flaky.example'] = [{ exchange: 'flaky-example.mail.protection.outlook.com', priority: 0 }];
+            now += mxResolver.failureTtlMs - 1;
+            assert.equal(await mxResolver.getGroup('flaky.example'), 'other');
+            assert.equal(resolver.mock.callCount(), 1);
+
+            now += 1;
+            assert.equal(await mxResolver.getGroup('flaky.example'), 'microsoft');
+            assert.equal(resolver.mock.callCount(), 2);
+        });
+
+        it('keeps successful lookups for the cache TTL, not the failure TTL', async () => {
+            let now = Date.now();
+            mock.method(Date, 'now', () => now);
+
+            const resolver = stubResolver({ 'corp.example': [{ exchange: 'aspmx.l.google.com', priority: 1 }] });
+            mxResolver.setResolver(resolver);
+
+            await mxResolver.getGroup('corp.example');
+            now += mxResolver.failureTtlMs;
+            assert.equal(await mxResolver.getGroup('corp.example'), 'google');
+            assert.equal(resolver.mock.callCount(), 1);
+        });
+
+        it('gives up on a lookup after the timeout', async () => {
+            mxResolver.lookupTimeoutMs = 20;
+            const resolver = mock.fn(() => new Promise(() => {}));
+            mxResolver.setResolver(resolver);
+
+            const started = Date.now();
+            assert.equal(await mxResolver.getGroup('slow.example'), 'other');
+            assert.ok(Date.now() - started < 1000);
+            assert.equal(mxResolver.getStats().failures, 1);
+
+            // Timed out lookups are cached like other failures
+            assert.equal(await mxResolver.getGroup('slow.example'), 'other');
+            assert.equal(resolver.mock.callCount(), 1);
+        });
+    });
+});
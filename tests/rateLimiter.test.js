@@ -0,0 +1,84 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimiter = require('../src/services/rateLimiter.service');
+
+const { MemoryRateLimitStore, getWindows } = rateLimiter;
+
+describe('rateLimiter GCRA windows', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+        now = 1_700_000_000_000;
+        mock.method(Date, 'now', () => now);
+        store = new MemoryRateLimitStore();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    after(() => rateLimiter.destroy());
+
+    /**
+     * Acquire count slots in a row and return the outcomes
+     */
+    const acquireMany = async (windows, count) => {
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            results.push(await store.acquire('domain:example.com', windows));
+        }
+        return results;
+    };
+
+    it('builds only the configured windows and caps the burst at each limit', () => {
+        const windows = getWindows({ perSecond: 2, perHour: 100, burst: 5 });
+
+        assert.deepEqual(windows.map(window => window.name), ['perSecond', 'perHour']);
+        assert.equal(windows[0].intervalMs, 500);
+        assert.equal(windows[0].toleranceMs, 500);
+        assert.equal(windows[1].intervalMs, 36000);
+        assert.equal(windows[1].toleranceMs, 4 * 36000);
+    });
+
+    it('allows the burst back to back, then one send per interval', async () => {
+        const windows = getWindows({ perMinute: 60, burst: 5 });
+
+        const burst = await acquireMany(windows, 6);
+        assert.deepEqual(burst.map(result => result.allowed), [true, true, true, true, true, false]);
+        assert.equal(burst[5].retryAfterMs, 1000);
+
+        now += 999;
+        assert.equal((await store.acquire('domain:example.com', windows)).allowed, false);
+
+        now += 1;
+        assert.equal((await store.acquire('domain:example.com', windows)).allowed, true);
+        assert.equal((await store.acquire('domain:example.com', windows)).allowed, false);
+    });
+
+    it('denies when any window is full and waits for the slowest one', async () => {
+        const windows = getWindows({ perSecond: 10, perHour: 3, burst: 3 });
+
+        const results = await acquireMany(windows, 4);
+        assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+        assert.equal(results[3].retryAfterMs, 20 * 60 * 1000);
+    });
+
+    it('returns a released slot to every window', async () => {
+        const windows = getWindows({ perMinute: 60, burst: 2 });
+
+        await acquireMany(windows, 2);
+        assert.equal((await store.acquire('domain:example.com', windows)).allowed, false);
+
+        await store.release('domain:example.com', windows);
+        assert.equal((await store.acquire('domain:example.com', windows)).allowed, true);
+    });
+
+    it('keeps separate budgets per key', async () => {
+        const windows = getWindows({ perMinute: 1 });
+
+        assert.equal((await store.acquire('domain:a.example', windows)).allowed, true);
+        assert.equal((await store.acquire('domain:b.example', windows)).allowed, true);
+        assert.equal((await store.acquire('domain:a.example', windows)).allowed, false);
+    });
+});
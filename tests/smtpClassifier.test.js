@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const smtpClassifier = require('../src/utils/smtpClassifier');
+
+describe('smtpClassifier.parseEnhancedStatus', () => {
+    const cases = [
+        ['550 5.1.1 The email account that you tried to reach does not exist', null, '5.1.1'],
+        ['550-5.7.26 Unauthenticated email\n550 5.7.26 is not accepted', null, '5.7.26'],
+        ['421 4.7.0 Try again later', 421, '4.7.0'],
+        ['554 Your IP 52.4.1.3 is listed', 554, null],
+        ['550 Message rejected, see 5.1.1', null, null],
+        ['550 4.2.2 Mailbox full', null, null],
+        ['550 5.1.1 User unknown', 421, null],
+    ];
+
+    for (const [text, responseCode, expected] of cases) {
+        it(`reads ${expected} from "${text.split('\n')[0]}"`, () => {
+            assert.equal(smtpClassifier.parseEnhancedStatus(text, responseCode), expected);
+        });
+    }
+});
+
+describe('smtpClassifier.classify', () => {
+    const cases = [
+        {
+            name: 'unknown mailbox',
+            error: { responseCode: 550, response: '550 5.1.1 The email account that you tried to reach does not exist. gsmtp' },
+            expected: { rule: 'enhanced_1.1', retryable: false, suppress: true, enhancedStatus: '5.1.1' },
+        },
+        {
+            name: 'Gmail try again later',
+            error: { responseCode: 421, response: '421 4.7.0 Try again later, closing connection. gsmtp' },
+            expected: { rule: 'gmail_try_again_later', retryable: true, category: 'rate', enhancedStatus: '4.7.0' },
+        },
+        {
+            name: 'Gmail unauthenticated',
+            error: { responseCode: 550, response: '550 5.7.26 This mail has been blocked because the sender is unauthenticated. gsmtp' },
+            expected: { rule: 'gmail_unauthenticated', retryable: false, category: 'policy' },
+        },
+        {
+            name: 'Outlook blocked IP',
+            group: 'microsoft',
+            error: { responseCode: 550, response: '550 5.7.1 Unfortunately, messages from [52.4.1.3] weren\'t sent. (S3150)' },
+            expected: { rule: 'outlook_blocked', retryable: false, category: 'reputation', provider: 'outlook' },
+        },
+        {
+            name: 'Yahoo deferral',
+            error: { responseCode: 421, response: '421 4.7.0 [TSS04] Messages from 52.4.1.3 temporarily deferred due to unexpected volume or user complaints' },
+            expected: { rule: 'yahoo_deferred', retryable: true, category: 'reputation', provider: 'yahoo' },
+        },
+        {
+            name: 'IP address in the response',
+            error: { responseCode: 554, response: '554 Your IP 52.4.1.3 is listed' },
+            expected: { rule: 'code_554', retryable: false, category: 'policy', enhancedStatus: null },
+        },
+        {
+            name: 'Gmail code from another provider',
+            group: 'other',
+            error: { responseCode: 421, response: '421 4.7.0 Try again later' },
+            expected: { rule: 'enhanced_7.0', provider: null },
+        },
+        {
+            name: 'DSN status reported out of band',
+            error: { response: 'Host or domain name not found', enhancedStatus: '5.1.2' },
+            expected: { rule: 'enhanced_1.2', retryable: false, suppress: true, enhancedStatus: '5.1.2' },
+        },
+        {
+            name: 'connection failure',
+            error: { code: 'ETIMEDOUT', message: 'Connection timeout' },
+            expected: { rule: 'connection_etimedout', retryable: true, category: 'connection' },
+        },
+    ];
+
+    for (const { name, error, group, expected } of cases) {
+        it(`classifies ${name}`, () => {
+            const verdict = smtpClassifier.classify(error, group);
+            for (const [field, value] of Object.entries(expected)) {
+                assert.equal(verdict[field], value, field);
+            }
+        });
+    }
+});
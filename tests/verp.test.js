@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const verp = require('../src/utils/verp');
+
+const SECRET = 'test-secret';
+const STATS_ID = '65a1b2c3d4e5f60718293a4b';
+
+describe('verp', () => {
+    it('encodes stats id, recipient hash and signature into the return path', () => {
+        const address = verp.encode('bounces@example.com', STATS_ID, 'Ann@Example.com', SECRET);
+
+        assert.match(address, /^bounces\+65a1b2c3d4e5f60718293a4b-[0-9a-f]{12}-[0-9a-f]{10}@example\.com$/);
+        assert.equal(address.includes('ann'), false);
+    });
+
+    it('decodes its own addresses, also bracketed and case-folded by an MTA', () => {
+        const address = verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', SECRET);
+        const expected = { statsId: STATS_ID, recipientHash: verp.hashRecipient('ann@example.com') };
+
+        assert.deepEqual(verp.decode(address, SECRET), expected);
+        assert.deepEqual(verp.decode(`Bounce <${address.toUpperCase()}>`, SECRET), expected);
+    });
+
+    it('rejects addresses with a wrong signature or secret', () => {
+        const address = verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', SECRET);
+        const tampered = address.replace(STATS_ID, '65a1b2c3d4e5f60718293a4c');
+
+        assert.equal(verp.decode(tampered, SECRET), null);
+        assert.equal(verp.decode(address, 'other-secret'), null);
+    });
+
+    it('ignores addresses that are not VERP', () => {
+        assert.equal(verp.decode('bounces@example.com', SECRET), null);
+        assert.equal(verp.decode('bounces+abc@example.com', SECRET), null);
+        assert.equal(verp.decode(null, SECRET), null);
+    });
+
+    it('matches a decoded address to its recipient only', () => {
+        const decoded = verp.decode(verp.encode('bounces@example.com', STATS_ID, 'ann@example.com', SECRET), SECRET);
+
+        assert.equal(verp.matchesRecipient(decoded, ' ANN@example.com '), true);
+        assert.equal(verp.matchesRecipient(decoded, 'bob@example.com'), false);
+        assert.equal(verp.matchesRecipient(null, 'ann@example.com'), false);
+    });
+});